@@ -1,11 +1,56 @@
 /**
  * Authentication Controller
- * Handles user registration and login
+ * Handles user registration, login, token refresh and session management
  */
 
 const User = require('../models/User');
-const { generateToken } = require('../utils/token');
+const Session = require('../models/Session');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry,
+} = require('../utils/token');
 const { sendSuccess, sendError } = require('../utils/response');
+const { disconnectSessions } = require('../sockets/socketHandler');
+
+/**
+ * Start a new session for a user and issue its token pair
+ * @param {Object} user - Authenticated user
+ * @param {Object} req - Express request (for device info)
+ * @returns {Object} { token, refreshToken, session }
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ipAddress: req.ip || '',
+    expiresAt: getRefreshTokenExpiry(),
+  });
+
+  const refresh = generateRefreshToken(session._id.toString());
+  session.refreshTokenHash = refresh.hash;
+  await session.save();
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken: refresh.token,
+    session,
+  };
+};
+
+/**
+ * Revoke sessions and disconnect any sockets opened with them
+ * @param {Object} filter - Session query
+ * @param {String} reason - Why the sessions were revoked
+ * @returns {Number} Number of sessions revoked
+ */
+const revokeSessions = async (filter, reason) => {
+  const sessionIds = await Session.revokeMany(filter, reason);
+  disconnectSessions(sessionIds);
+  return sessionIds.length;
+};
 
 /**
  * @route   POST /api/auth/register
@@ -48,13 +93,14 @@ const register = async (req, res) => {
 
     console.log('✅ User created successfully:', user._id);
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
 
-    // Send response with user data and token
+    // Send response with user data and tokens
     sendSuccess(res, 201, 'User registered successfully', {
       user: user.getPublicProfile(),
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error('❌ Register error:', error);
@@ -97,13 +143,14 @@ const login = async (req, res) => {
       return sendError(res, 401, 'Invalid credentials');
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     // Send response
     sendSuccess(res, 200, 'Login successful', {
       user: user.getPublicProfile(),
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -128,8 +175,147 @@ const getMe = async (req, res) => {
   }
 };
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public
+ */
+const refresh = async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body.refreshToken);
+
+    if (!parsed) {
+      return sendError(res, 401, 'Invalid refresh token');
+    }
+
+    const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash');
+
+    if (!session || !session.isActive()) {
+      return sendError(res, 401, 'Session expired or revoked, please log in again');
+    }
+
+    // A valid session presented with an old secret means the token was
+    // stolen or replayed - revoke the whole session to be safe
+    if (session.refreshTokenHash !== hashToken(parsed.secret)) {
+      await revokeSessions({ _id: session._id }, 'refresh_token_reuse');
+      return sendError(res, 401, 'Session expired or revoked, please log in again');
+    }
+
+    // Rotate: the presented refresh token can't be used again
+    const rotated = generateRefreshToken(session._id.toString());
+
+    const updated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+      { refreshTokenHash: rotated.hash, lastUsedAt: new Date() }
+    );
+
+    // Lost a race with a concurrent refresh using the same token
+    if (!updated) {
+      return sendError(res, 401, 'Session expired or revoked, please log in again');
+    }
+
+    sendSuccess(res, 200, 'Token refreshed successfully', {
+      token: generateAccessToken(session.user, session._id),
+      refreshToken: rotated.token,
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    sendError(res, 500, 'Error refreshing token');
+  }
+};
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the current session
+ * @access  Private
+ */
+const logout = async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.session._id }, 'logout');
+
+    sendSuccess(res, 200, 'Logged out successfully');
+  } catch (error) {
+    console.error('Logout error:', error);
+    sendError(res, 500, 'Error logging out');
+  }
+};
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (logged in devices) for current user
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    sendSuccess(res, 200, 'Sessions retrieved successfully', {
+      sessions: sessions.map((session) => session.toClientObject(req.session._id)),
+      count: sessions.length,
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    sendError(res, 500, 'Error retrieving sessions');
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revokedCount = await revokeSessions(
+      { _id: sessionId, user: req.user._id },
+      'revoked'
+    );
+
+    if (revokedCount === 0) {
+      return sendError(res, 404, 'Session not found');
+    }
+
+    sendSuccess(res, 200, 'Session revoked successfully');
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    sendError(res, 500, 'Error revoking session');
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke all sessions except the current one
+ * @access  Private
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await revokeSessions(
+      { user: req.user._id, _id: { $ne: req.session._id } },
+      'revoked'
+    );
+
+    sendSuccess(res, 200, 'Other sessions revoked successfully', {
+      revokedCount,
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    sendError(res, 500, 'Error revoking sessions');
+  }
+};
+
 module.exports = {
   register,
   login,
   getMe,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
 };
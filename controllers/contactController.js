@@ -0,0 +1,210 @@
+/**
+ * Contact Controller
+ * Contacts are the users you have an accepted chat request with
+ * - Lists them with presence and your own nickname/favorite settings
+ * - "Unfriend" revokes the accepted request (and can archive the chat)
+ */
+
+const ChatRequest = require('../models/ChatRequest');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const { sendSuccess, sendError } = require('../utils/response');
+const { emitToUsers } = require('../sockets/socketHandler');
+const { applyPrivacy, CONTACT_VIEW } = require('../utils/privacy');
+
+// Public fields returned for each contact (privacy is applied, then dropped)
+const CONTACT_FIELDS = 'username profilePicture bio isOnline lastSeen privacy';
+
+/**
+ * Shape an accepted request into a contact entry from the user's point of view
+ * (expects sender/receiver to be populated)
+ */
+const formatContact = (request, userId, conversationId = null) => {
+  const id = userId.toString();
+  const contact = request.sender._id.toString() === id ? request.receiver : request.sender;
+
+  return {
+    user: applyPrivacy(contact, CONTACT_VIEW),
+    nickname: request.nicknames.get(id) || '',
+    isFavorite: request.favoritedBy.some((favoritedBy) => favoritedBy.toString() === id),
+    conversationId,
+    connectedAt: request.respondedAt || request.updatedAt,
+  };
+};
+
+/**
+ * Find the direct conversation between two users, if any
+ */
+const findDirectConversation = (userA, userB) =>
+  Conversation.findOne({
+    type: { $ne: 'group' },
+    participants: { $all: [userA, userB] },
+  });
+
+/**
+ * @route   GET /api/users/contacts
+ * @desc    Get everyone the user is connected with (?favorites=true for favorites only)
+ * @access  Private
+ */
+const getContacts = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const favoritesOnly = req.query.favorites === 'true';
+
+    // Blocked users are listed under /api/users/blocked instead
+    const blockRelations = await User.getBlockRelations(userId);
+
+    const requests = await ChatRequest.find({
+      status: 'accepted',
+      $or: [{ sender: userId }, { receiver: userId }],
+    })
+      .populate('sender', CONTACT_FIELDS)
+      .populate('receiver', CONTACT_FIELDS);
+
+    // Map each contact to the direct conversation with them
+    const conversations = await Conversation.find({
+      type: { $ne: 'group' },
+      participants: userId,
+    }).select('participants');
+
+    const conversationByUser = new Map();
+    conversations.forEach((conversation) => {
+      const otherId = conversation.getOtherParticipant(userId);
+      if (otherId) {
+        conversationByUser.set(otherId.toString(), conversation._id);
+      }
+    });
+
+    const contacts = requests
+      // Skip requests whose other user no longer exists
+      .filter((request) => request.sender && request.receiver)
+      .map((request) => {
+        const otherId = request.getOtherUser(userId).toString();
+        return formatContact(request, userId, conversationByUser.get(otherId) || null);
+      })
+      .filter((contact) => !blockRelations.includes(contact.user._id.toString()))
+      .filter((contact) => !favoritesOnly || contact.isFavorite);
+
+    // Favorites first, then alphabetically by the name the user sees
+    const displayName = (contact) => (contact.nickname || contact.user.username).toLowerCase();
+    contacts.sort(
+      (a, b) =>
+        Number(b.isFavorite) - Number(a.isFavorite) || displayName(a).localeCompare(displayName(b))
+    );
+
+    sendSuccess(res, 200, 'Contacts retrieved successfully', {
+      contacts,
+      count: contacts.length,
+    });
+  } catch (error) {
+    console.error('Get contacts error:', error);
+    sendError(res, 500, 'Error retrieving contacts');
+  }
+};
+
+/**
+ * @route   PUT /api/users/contacts/:userId
+ * @desc    Set a nickname for a contact and/or mark them as favorite
+ * @access  Private
+ */
+const updateContact = async (req, res) => {
+  try {
+    const { userId: contactId } = req.params;
+    const { nickname, isFavorite } = req.body;
+    const userId = req.user._id;
+    const id = userId.toString();
+
+    const request = await ChatRequest.findAcceptedBetween(userId, contactId);
+
+    if (!request) {
+      return sendError(res, 404, 'Contact not found');
+    }
+
+    if (nickname !== undefined) {
+      if (nickname) {
+        request.nicknames.set(id, nickname);
+      } else {
+        request.nicknames.delete(id);
+      }
+    }
+
+    if (isFavorite === true) {
+      request.favoritedBy.addToSet(userId);
+    } else if (isFavorite === false) {
+      request.favoritedBy.pull(userId);
+    }
+
+    await request.save();
+    await request.populate([
+      { path: 'sender', select: CONTACT_FIELDS },
+      { path: 'receiver', select: CONTACT_FIELDS },
+    ]);
+
+    const conversation = await findDirectConversation(userId, contactId);
+
+    sendSuccess(res, 200, 'Contact updated successfully', {
+      contact: formatContact(request, userId, conversation ? conversation._id : null),
+    });
+  } catch (error) {
+    console.error('Update contact error:', error);
+    sendError(res, 500, 'Error updating contact');
+  }
+};
+
+/**
+ * @route   DELETE /api/users/contacts/:userId
+ * @desc    Unfriend a contact (?archive=true also archives the conversation for you)
+ * @access  Private
+ */
+const removeContact = async (req, res) => {
+  try {
+    const { userId: contactId } = req.params;
+    const userId = req.user._id;
+    const archive = req.query.archive === 'true';
+
+    const request = await ChatRequest.findAcceptedBetween(userId, contactId);
+
+    if (!request) {
+      return sendError(res, 404, 'Contact not found');
+    }
+
+    // Revoking the request stops direct messaging until a new one is accepted
+    request.status = 'revoked';
+    request.respondedAt = new Date();
+    request.nicknames = {};
+    request.favoritedBy = [];
+    await request.save();
+
+    let archivedConversationId = null;
+
+    if (archive) {
+      const conversation = await findDirectConversation(userId, contactId);
+
+      if (conversation) {
+        await Conversation.updateOne(
+          { _id: conversation._id },
+          { $addToSet: { archivedBy: userId } },
+          { timestamps: false }
+        );
+        archivedConversationId = conversation._id;
+      }
+    }
+
+    emitToUsers(contactId, 'contact_removed', {
+      userId,
+    });
+
+    sendSuccess(res, 200, 'Contact removed successfully', {
+      archivedConversationId,
+    });
+  } catch (error) {
+    console.error('Remove contact error:', error);
+    sendError(res, 500, 'Error removing contact');
+  }
+};
+
+module.exports = {
+  getContacts,
+  updateContact,
+  removeContact,
+};
@@ -6,20 +6,81 @@
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const { sendSuccess, sendError } = require('../utils/response');
+const { emitToUsers } = require('../sockets/socketHandler');
+const { applyPrivacy, createPrivacyFilter, PUBLIC_VIEW } = require('../utils/privacy');
+const { AuthorizationError, authorizeGroupInvitees } = require('../utils/authorization');
+const { deleteConversationAttachments } = require('../utils/attachments');
+
+// Includes privacy so it can be applied before participants are sent out
+const PARTICIPANT_FIELDS = 'username email profilePicture isOnline lastSeen privacy';
+
+/**
+ * Load a conversation and make sure it is a group the user belongs to
+ * @returns {Object} { conversation } or { statusCode, message } on failure
+ */
+const findGroupForMember = async (conversationId, userId) => {
+  const conversation = await Conversation.findById(conversationId);
+
+  if (!conversation || conversation.type !== 'group') {
+    return { statusCode: 404, message: 'Group not found' };
+  }
+
+  if (!conversation.isParticipant(userId)) {
+    return { statusCode: 403, message: 'Not a member of this group' };
+  }
+
+  return { conversation };
+};
+
+/**
+ * Populate a group and push it to every member in real time
+ * (members are shown as a non-contact would see them, since everyone gets the same copy)
+ */
+const populateAndNotify = async (conversation, event, extra = {}, extraRecipients = []) => {
+  const group = await Conversation.findById(conversation._id).populate(
+    'participants',
+    PARTICIPANT_FIELDS
+  );
+  const populated = {
+    ...group.toObject(),
+    participants: group.participants.map((participant) => applyPrivacy(participant, PUBLIC_VIEW)),
+  };
+
+  emitToUsers([...conversation.participants, ...extraRecipients], event, {
+    conversation: populated,
+    ...extra,
+  });
+
+  return populated;
+};
 
 /**
  * @route   GET /api/conversations
- * @desc    Get all conversations for current user
+ * @desc    Get all conversations for current user, pinned first
+ *          ?archived=true for archived ones, ?pinned=true for pinned only
  * @access  Private
  */
 const getConversations = async (req, res) => {
   try {
     const userId = req.user._id;
 
-    const conversations = await Conversation.find({
+    // Participants are shown as their privacy settings (and blocks) allow
+    const applyPrivacyFor = await createPrivacyFilter(userId);
+
+    // Archived conversations are listed separately; hidden ones not at all
+    const showArchived = req.query.archived === 'true';
+    const filter = {
       participants: userId,
-    })
-      .populate('participants', 'username email profilePicture isOnline lastSeen')
+      archivedBy: showArchived ? userId : { $ne: userId },
+      hiddenBy: { $ne: userId },
+    };
+
+    if (req.query.pinned === 'true') {
+      filter.pinnedBy = userId;
+    }
+
+    const conversations = await Conversation.find(filter)
+      .populate('participants', PARTICIPANT_FIELDS)
       .populate({
         path: 'lastMessage',
         select: 'type content sender createdAt status',
@@ -28,19 +89,51 @@ const getConversations = async (req, res) => {
 
     // Format conversations for frontend
     const formattedConversations = conversations.map((conv) => {
+      const state = conv.getStateFor(userId);
+
+      // Don't preview a message the user cleared from their history
+      const lastMessage =
+        conv.lastMessage && state.clearedAt && conv.lastMessage.createdAt <= state.clearedAt
+          ? null
+          : conv.lastMessage;
+
+      if (conv.type === 'group') {
+        return {
+          _id: conv._id,
+          type: 'group',
+          name: conv.name,
+          avatar: conv.avatar,
+          participants: conv.participants.map(applyPrivacyFor),
+          role: conv.getRole(userId),
+          lastMessage,
+          unreadCount: conv.unreadCount?.get(userId.toString()) || 0,
+          isMuted: conv.isMutedFor(userId),
+          mutedUntil: conv.mutedUntil?.get(userId.toString()) || null,
+          ...state,
+          updatedAt: conv.updatedAt,
+        };
+      }
+
       const otherParticipant = conv.participants.find(
         (p) => p._id.toString() !== userId.toString()
       );
 
       return {
         _id: conv._id,
-        participant: otherParticipant,
-        lastMessage: conv.lastMessage,
+        type: 'direct',
+        participant: applyPrivacyFor(otherParticipant),
+        lastMessage,
         unreadCount: conv.unreadCount?.get(userId.toString()) || 0,
+        isMuted: conv.isMutedFor(userId),
+        mutedUntil: conv.mutedUntil?.get(userId.toString()) || null,
+        ...state,
         updatedAt: conv.updatedAt,
       };
     });
 
+    // Pinned conversations first (stable sort keeps most recent first within each)
+    formattedConversations.sort((a, b) => Number(b.isPinned) - Number(a.isPinned));
+
     sendSuccess(res, 200, 'Conversations retrieved successfully', {
       conversations: formattedConversations,
       count: formattedConversations.length,
@@ -51,6 +144,45 @@ const getConversations = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/conversations/unread
+ * @desc    Total unread badge count across the user's conversations
+ *          (muted conversations are reported separately)
+ * @access  Private
+ */
+const getUnreadTotal = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const id = userId.toString();
+
+    const conversations = await Conversation.find({
+      participants: userId,
+      [`unreadCount.${id}`]: { $gt: 0 },
+    }).select('unreadCount mutedUntil');
+
+    let total = 0;
+    let mutedTotal = 0;
+
+    conversations.forEach((conversation) => {
+      const count = conversation.unreadCount.get(id) || 0;
+      if (conversation.isMutedFor(userId)) {
+        mutedTotal += count;
+      } else {
+        total += count;
+      }
+    });
+
+    sendSuccess(res, 200, 'Unread count retrieved successfully', {
+      total,
+      mutedTotal,
+      conversationCount: conversations.length,
+    });
+  } catch (error) {
+    console.error('Get unread total error:', error);
+    sendError(res, 500, 'Error retrieving unread count');
+  }
+};
+
 /**
  * @route   GET /api/conversations/:conversationId
  * @desc    Get conversation details
@@ -63,7 +195,7 @@ const getConversation = async (req, res) => {
 
     const conversation = await Conversation.findById(conversationId).populate(
       'participants',
-      'username email profilePicture isOnline lastSeen'
+      PARTICIPANT_FIELDS
     );
 
     if (!conversation) {
@@ -79,8 +211,13 @@ const getConversation = async (req, res) => {
       return sendError(res, 403, 'Not authorized to access this conversation');
     }
 
+    const applyPrivacyFor = await createPrivacyFilter(userId);
+
     sendSuccess(res, 200, 'Conversation retrieved successfully', {
-      conversation,
+      conversation: {
+        ...conversation.toObject(),
+        participants: conversation.participants.map(applyPrivacyFor),
+      },
     });
   } catch (error) {
     console.error('Get conversation error:', error);
@@ -88,9 +225,45 @@ const getConversation = async (req, res) => {
   }
 };
 
+/**
+ * Remove a conversation for good: its messages, their attachments (and
+ * stored files) and the conversation itself
+ */
+const destroyConversation = async (conversationId) => {
+  await Message.deleteMany({ conversationId });
+  await deleteConversationAttachments(conversationId);
+  await Conversation.findByIdAndDelete(conversationId);
+};
+
+/**
+ * Apply a per-participant change (archive, pin, hide, ...) for the current
+ * user only and sync the new state to their other devices
+ * updatedAt is left alone: it orders everyone's conversation list
+ * @param {Function} buildUpdate - (userId) => MongoDB update
+ * @returns {Object|null} Updated conversation, or null if not a participant
+ */
+const updateOwnState = async (conversationId, userId, buildUpdate) => {
+  const conversation = await Conversation.findOneAndUpdate(
+    { _id: conversationId, participants: userId },
+    buildUpdate(userId.toString()),
+    { new: true, timestamps: false }
+  );
+
+  if (conversation) {
+    emitToUsers(userId, 'conversation_state_updated', {
+      conversationId: conversation._id,
+      ...conversation.getStateFor(userId),
+    });
+  }
+
+  return conversation;
+};
+
 /**
  * @route   DELETE /api/conversations/:conversationId
- * @desc    Delete conversation (and all messages)
+ * @desc    Delete a conversation for the current user only: hides it and
+ *          clears its history for them (it reappears on the next message).
+ *          Group owners can pass ?forEveryone=true to delete the whole group.
  * @access  Private
  */
 const deleteConversation = async (req, res) => {
@@ -100,34 +273,601 @@ const deleteConversation = async (req, res) => {
 
     const conversation = await Conversation.findById(conversationId);
 
-    if (!conversation) {
+    if (!conversation || !conversation.isParticipant(userId)) {
       return sendError(res, 404, 'Conversation not found');
     }
 
-    // Check if user is participant
-    const isParticipant = conversation.participants.some(
-      (p) => p.toString() === userId.toString()
-    );
+    if (req.query.forEveryone === 'true') {
+      // Deleting a group removes it for everyone, so only the owner may do it
+      if (conversation.type !== 'group' || conversation.getRole(userId) !== 'owner') {
+        return sendError(res, 403, 'Only the group owner can delete the group for everyone');
+      }
 
-    if (!isParticipant) {
-      return sendError(res, 403, 'Not authorized to delete this conversation');
+      await destroyConversation(conversationId);
+
+      emitToUsers(conversation.participants, 'group_deleted', {
+        conversationId: conversation._id,
+      });
+
+      return sendSuccess(res, 200, 'Group deleted successfully');
     }
 
-    // Delete all messages in conversation
-    await Message.deleteMany({ conversationId });
+    const updated = await updateOwnState(conversationId, userId, (id) => ({
+      $addToSet: { hiddenBy: id },
+      $pull: { pinnedBy: id, archivedBy: id },
+      $set: { [`clearedAt.${id}`]: new Date(), [`unreadCount.${id}`]: 0 },
+    }));
+
+    if (!updated) {
+      return sendError(res, 404, 'Conversation not found');
+    }
 
-    // Delete conversation
-    await Conversation.findByIdAndDelete(conversationId);
+    emitToUsers(userId, 'unread_count_updated', { conversationId, unreadCount: 0 });
 
-    sendSuccess(res, 200, 'Conversation deleted successfully');
+    sendSuccess(res, 200, 'Conversation deleted successfully', {
+      conversationId,
+      clearedAt: updated.getClearedAt(userId),
+    });
   } catch (error) {
     console.error('Delete conversation error:', error);
     sendError(res, 500, 'Error deleting conversation');
   }
 };
 
+/**
+ * @route   POST /api/conversations/:conversationId/clear
+ * @desc    Clear the conversation history for the current user only
+ * @access  Private
+ */
+const clearHistory = async (req, res) => {
+  try {
+    const conversation = await updateOwnState(req.params.conversationId, req.user._id, (id) => ({
+      $set: { [`clearedAt.${id}`]: new Date(), [`unreadCount.${id}`]: 0 },
+    }));
+
+    if (!conversation) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    emitToUsers(req.user._id, 'unread_count_updated', {
+      conversationId: conversation._id,
+      unreadCount: 0,
+    });
+
+    sendSuccess(res, 200, 'Conversation history cleared successfully', {
+      conversationId: conversation._id,
+      ...conversation.getStateFor(req.user._id),
+    });
+  } catch (error) {
+    console.error('Clear history error:', error);
+    sendError(res, 500, 'Error clearing conversation history');
+  }
+};
+
+/**
+ * @route   PUT /api/conversations/:conversationId/archive
+ * @desc    Archive a conversation (for current user only)
+ * @access  Private
+ */
+const archiveConversation = async (req, res) => {
+  try {
+    const conversation = await updateOwnState(req.params.conversationId, req.user._id, (id) => ({
+      $addToSet: { archivedBy: id },
+      $pull: { pinnedBy: id },
+    }));
+
+    if (!conversation) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    sendSuccess(res, 200, 'Conversation archived successfully', {
+      conversationId: conversation._id,
+      ...conversation.getStateFor(req.user._id),
+    });
+  } catch (error) {
+    console.error('Archive conversation error:', error);
+    sendError(res, 500, 'Error archiving conversation');
+  }
+};
+
+/**
+ * @route   DELETE /api/conversations/:conversationId/archive
+ * @desc    Move a conversation back out of the archive
+ * @access  Private
+ */
+const unarchiveConversation = async (req, res) => {
+  try {
+    const conversation = await updateOwnState(req.params.conversationId, req.user._id, (id) => ({
+      $pull: { archivedBy: id },
+    }));
+
+    if (!conversation) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    sendSuccess(res, 200, 'Conversation unarchived successfully', {
+      conversationId: conversation._id,
+      ...conversation.getStateFor(req.user._id),
+    });
+  } catch (error) {
+    console.error('Unarchive conversation error:', error);
+    sendError(res, 500, 'Error unarchiving conversation');
+  }
+};
+
+/**
+ * @route   PUT /api/conversations/:conversationId/pin
+ * @desc    Pin a conversation to the top of the list (for current user only)
+ * @access  Private
+ */
+const pinConversation = async (req, res) => {
+  try {
+    // Pinning brings an archived conversation back to the main list
+    const conversation = await updateOwnState(req.params.conversationId, req.user._id, (id) => ({
+      $addToSet: { pinnedBy: id },
+      $pull: { archivedBy: id },
+    }));
+
+    if (!conversation) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    sendSuccess(res, 200, 'Conversation pinned successfully', {
+      conversationId: conversation._id,
+      ...conversation.getStateFor(req.user._id),
+    });
+  } catch (error) {
+    console.error('Pin conversation error:', error);
+    sendError(res, 500, 'Error pinning conversation');
+  }
+};
+
+/**
+ * @route   DELETE /api/conversations/:conversationId/pin
+ * @desc    Unpin a conversation
+ * @access  Private
+ */
+const unpinConversation = async (req, res) => {
+  try {
+    const conversation = await updateOwnState(req.params.conversationId, req.user._id, (id) => ({
+      $pull: { pinnedBy: id },
+    }));
+
+    if (!conversation) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    sendSuccess(res, 200, 'Conversation unpinned successfully', {
+      conversationId: conversation._id,
+      ...conversation.getStateFor(req.user._id),
+    });
+  } catch (error) {
+    console.error('Unpin conversation error:', error);
+    sendError(res, 500, 'Error unpinning conversation');
+  }
+};
+
+/**
+ * @route   PUT /api/conversations/:conversationId/mute
+ * @desc    Mute notifications for a conversation (for current user only)
+ *          Body: { until?: ISO date } - omit to mute until unmuted
+ * @access  Private
+ */
+const muteConversation = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { until } = req.body;
+    const userId = req.user._id;
+
+    const conversation = await Conversation.findById(conversationId);
+
+    if (!conversation || !conversation.isParticipant(userId)) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    const mutedUntil = until ? new Date(until) : null;
+
+    if (mutedUntil && mutedUntil <= new Date()) {
+      return sendError(res, 400, 'Mute end time must be in the future');
+    }
+
+    conversation.mutedUntil.set(userId.toString(), mutedUntil);
+    // Muting is personal, so it must not move the chat up anyone's list
+    await conversation.save({ timestamps: false });
+
+    sendSuccess(res, 200, 'Conversation muted successfully', {
+      conversationId,
+      isMuted: true,
+      mutedUntil,
+    });
+  } catch (error) {
+    console.error('Mute conversation error:', error);
+    sendError(res, 500, 'Error muting conversation');
+  }
+};
+
+/**
+ * @route   DELETE /api/conversations/:conversationId/mute
+ * @desc    Unmute a conversation
+ * @access  Private
+ */
+const unmuteConversation = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user._id;
+
+    const conversation = await Conversation.findById(conversationId);
+
+    if (!conversation || !conversation.isParticipant(userId)) {
+      return sendError(res, 404, 'Conversation not found');
+    }
+
+    conversation.mutedUntil.delete(userId.toString());
+    await conversation.save({ timestamps: false });
+
+    sendSuccess(res, 200, 'Conversation unmuted successfully', {
+      conversationId,
+      isMuted: false,
+      mutedUntil: null,
+    });
+  } catch (error) {
+    console.error('Unmute conversation error:', error);
+    sendError(res, 500, 'Error unmuting conversation');
+  }
+};
+
+/**
+ * @route   POST /api/conversations/group
+ * @desc    Create a group conversation (creator becomes owner)
+ * @access  Private
+ */
+const createGroup = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { name, avatar, memberIds = [] } = req.body;
+
+    // Deduplicate members and make sure the creator is not listed twice
+    const uniqueMemberIds = [...new Set(memberIds.map((id) => id.toString()))].filter(
+      (id) => id !== userId.toString()
+    );
+
+    if (uniqueMemberIds.length + 1 > Conversation.GROUP_MAX_MEMBERS) {
+      return sendError(
+        res,
+        400,
+        `A group cannot have more than ${Conversation.GROUP_MAX_MEMBERS} members`
+      );
+    }
+
+    // Only contacts who haven't blocked (or been blocked by) the creator
+    await authorizeGroupInvitees(userId, uniqueMemberIds);
+
+    const conversation = await Conversation.create({
+      type: 'group',
+      name,
+      avatar: avatar || '',
+      owner: userId,
+      admins: [],
+      participants: [userId, ...uniqueMemberIds],
+    });
+
+    const populatedConversation = await populateAndNotify(conversation, 'group_created');
+
+    sendSuccess(res, 201, 'Group created successfully', {
+      conversation: populatedConversation,
+    });
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
+    }
+    console.error('Create group error:', error);
+    sendError(res, 500, 'Error creating group');
+  }
+};
+
+/**
+ * @route   PUT /api/conversations/:conversationId
+ * @desc    Update group name or avatar (admins only)
+ * @access  Private
+ */
+const updateGroup = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user._id;
+    const { name, avatar } = req.body;
+
+    const { conversation, statusCode, message } = await findGroupForMember(
+      conversationId,
+      userId
+    );
+
+    if (!conversation) {
+      return sendError(res, statusCode, message);
+    }
+
+    if (!conversation.isAdmin(userId)) {
+      return sendError(res, 403, 'Only group admins can update the group');
+    }
+
+    if (name !== undefined) {
+      conversation.name = name;
+    }
+
+    if (avatar !== undefined) {
+      conversation.avatar = avatar;
+    }
+
+    await conversation.save();
+
+    const populatedConversation = await populateAndNotify(conversation, 'group_updated', {
+      updatedBy: userId,
+    });
+
+    sendSuccess(res, 200, 'Group updated successfully', {
+      conversation: populatedConversation,
+    });
+  } catch (error) {
+    console.error('Update group error:', error);
+    sendError(res, 500, 'Error updating group');
+  }
+};
+
+/**
+ * @route   POST /api/conversations/:conversationId/members
+ * @desc    Add members to a group (admins only)
+ * @access  Private
+ */
+const addMembers = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user._id;
+    const { memberIds } = req.body;
+
+    const { conversation, statusCode, message } = await findGroupForMember(
+      conversationId,
+      userId
+    );
+
+    if (!conversation) {
+      return sendError(res, statusCode, message);
+    }
+
+    if (!conversation.isAdmin(userId)) {
+      return sendError(res, 403, 'Only group admins can add members');
+    }
+
+    const newMemberIds = [...new Set(memberIds.map((id) => id.toString()))].filter(
+      (id) => !conversation.isParticipant(id)
+    );
+
+    if (newMemberIds.length === 0) {
+      return sendError(res, 400, 'Users are already members of this group');
+    }
+
+    if (conversation.participants.length + newMemberIds.length > Conversation.GROUP_MAX_MEMBERS) {
+      return sendError(
+        res,
+        400,
+        `A group cannot have more than ${Conversation.GROUP_MAX_MEMBERS} members`
+      );
+    }
+
+    // Admins can only add their own contacts, and no one in a block with them
+    await authorizeGroupInvitees(userId, newMemberIds);
+
+    conversation.participants.push(...newMemberIds);
+    await conversation.save();
+
+    const populatedConversation = await populateAndNotify(conversation, 'group_members_added', {
+      memberIds: newMemberIds,
+      addedBy: userId,
+    });
+
+    sendSuccess(res, 200, 'Members added successfully', {
+      conversation: populatedConversation,
+    });
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
+    }
+    console.error('Add members error:', error);
+    sendError(res, 500, 'Error adding members');
+  }
+};
+
+/**
+ * @route   DELETE /api/conversations/:conversationId/members/:userId
+ * @desc    Remove a member from a group (admins only, owner can't be removed)
+ * @access  Private
+ */
+const removeMember = async (req, res) => {
+  try {
+    const { conversationId, userId: memberId } = req.params;
+    const userId = req.user._id;
+
+    const { conversation, statusCode, message } = await findGroupForMember(
+      conversationId,
+      userId
+    );
+
+    if (!conversation) {
+      return sendError(res, statusCode, message);
+    }
+
+    const actorRole = conversation.getRole(userId);
+    const memberRole = conversation.getRole(memberId);
+
+    if (!memberRole) {
+      return sendError(res, 404, 'User is not a member of this group');
+    }
+
+    if (memberId === userId.toString()) {
+      return sendError(res, 400, 'Use the leave endpoint to leave a group');
+    }
+
+    // Owner can remove anyone, admins can only remove regular members
+    if (
+      memberRole === 'owner' ||
+      actorRole === 'member' ||
+      (actorRole === 'admin' && memberRole === 'admin')
+    ) {
+      return sendError(res, 403, 'Not authorized to remove this member');
+    }
+
+    conversation.participants.pull(memberId);
+    conversation.admins.pull(memberId);
+    conversation.unreadCount.delete(memberId);
+    await conversation.save();
+
+    const populatedConversation = await populateAndNotify(
+      conversation,
+      'group_member_removed',
+      { memberId, removedBy: userId },
+      [memberId]
+    );
+
+    sendSuccess(res, 200, 'Member removed successfully', {
+      conversation: populatedConversation,
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    sendError(res, 500, 'Error removing member');
+  }
+};
+
+/**
+ * @route   PUT /api/conversations/:conversationId/members/:userId/role
+ * @desc    Promote a member to admin or demote an admin (owner only)
+ * @access  Private
+ */
+const updateMemberRole = async (req, res) => {
+  try {
+    const { conversationId, userId: memberId } = req.params;
+    const { role } = req.body;
+    const userId = req.user._id;
+
+    const { conversation, statusCode, message } = await findGroupForMember(
+      conversationId,
+      userId
+    );
+
+    if (!conversation) {
+      return sendError(res, statusCode, message);
+    }
+
+    if (conversation.getRole(userId) !== 'owner') {
+      return sendError(res, 403, 'Only the group owner can change roles');
+    }
+
+    const memberRole = conversation.getRole(memberId);
+
+    if (!memberRole) {
+      return sendError(res, 404, 'User is not a member of this group');
+    }
+
+    if (memberRole === 'owner') {
+      return sendError(res, 400, 'Cannot change the role of the group owner');
+    }
+
+    if (role === 'admin') {
+      conversation.admins.addToSet(memberId);
+    } else {
+      conversation.admins.pull(memberId);
+    }
+
+    await conversation.save();
+
+    const populatedConversation = await populateAndNotify(conversation, 'group_role_updated', {
+      memberId,
+      role,
+      updatedBy: userId,
+    });
+
+    sendSuccess(res, 200, 'Member role updated successfully', {
+      conversation: populatedConversation,
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    sendError(res, 500, 'Error updating member role');
+  }
+};
+
+/**
+ * @route   POST /api/conversations/:conversationId/leave
+ * @desc    Leave a group. If the owner leaves, ownership passes to the
+ *          longest-standing admin (or member); the last member deletes the group
+ * @access  Private
+ */
+const leaveGroup = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user._id;
+
+    const { conversation, statusCode, message } = await findGroupForMember(
+      conversationId,
+      userId
+    );
+
+    if (!conversation) {
+      return sendError(res, statusCode, message);
+    }
+
+    const wasOwner = conversation.getRole(userId) === 'owner';
+
+    conversation.participants.pull(userId);
+    conversation.admins.pull(userId);
+    conversation.unreadCount.delete(userId.toString());
+
+    // Last member out - remove the group entirely
+    if (conversation.participants.length === 0) {
+      await destroyConversation(conversationId);
+
+      return sendSuccess(res, 200, 'Left group successfully');
+    }
+
+    if (wasOwner) {
+      // Participants are kept in join order, so the first admin/member found is the oldest
+      const nextOwner =
+        conversation.participants.find((p) =>
+          conversation.admins.some((admin) => admin.toString() === p.toString())
+        ) || conversation.participants[0];
+
+      conversation.owner = nextOwner;
+      conversation.admins.pull(nextOwner);
+    }
+
+    await conversation.save();
+
+    await populateAndNotify(
+      conversation,
+      'group_member_left',
+      { memberId: userId, newOwner: wasOwner ? conversation.owner : undefined },
+      [userId]
+    );
+
+    sendSuccess(res, 200, 'Left group successfully');
+  } catch (error) {
+    console.error('Leave group error:', error);
+    sendError(res, 500, 'Error leaving group');
+  }
+};
+
 module.exports = {
   getConversations,
+  getUnreadTotal,
   getConversation,
   deleteConversation,
+  clearHistory,
+  archiveConversation,
+  unarchiveConversation,
+  pinConversation,
+  unpinConversation,
+  muteConversation,
+  unmuteConversation,
+  createGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+  updateMemberRole,
+  leaveGroup,
 };
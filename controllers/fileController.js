@@ -0,0 +1,70 @@
+/**
+ * File Controller
+ * Serves media kept by the local storage driver
+ * (other drivers hand out URLs on their own domain)
+ */
+
+const path = require('path');
+const mime = require('mime-types');
+const { sendError } = require('../utils/response');
+const { getStorage } = require('../utils/storage');
+
+/**
+ * Check whether a type is safe to show inline on the API's origin
+ * (media only; SVG can carry scripts)
+ */
+const isInlineType = (mimeType) =>
+  /^(image|audio|video)\//.test(mimeType) && mimeType !== 'image/svg+xml';
+
+/**
+ * @route   GET /files/:key?expires=&signature=
+ * @desc    Download a stored file through a signed URL
+ * @access  Public (the signature is the credential)
+ */
+const serveFile = (req, res) => {
+  const storage = getStorage();
+  const key = req.params[0];
+
+  if (storage.name !== 'local') {
+    return sendError(res, 404, 'File not found');
+  }
+
+  if (!storage.verifyUrl(key, req.query.expires, req.query.signature)) {
+    return sendError(res, 403, 'Invalid or expired file link');
+  }
+
+  const filePath = storage.resolvePath(key);
+
+  if (!filePath) {
+    return sendError(res, 404, 'File not found');
+  }
+
+  // Stored files are named after their validated MIME type (see storage/keys.js)
+  const mimeType = mime.lookup(filePath) || 'application/octet-stream';
+  res.type(mimeType);
+
+  // Anything that isn't media is downloaded, never rendered on this origin
+  if (!isInlineType(mimeType)) {
+    res.attachment(path.basename(filePath));
+  }
+
+  // Let the frontend (another origin) embed the file
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+
+  res.sendFile(filePath, { dotfiles: 'deny', maxAge: '7d' }, (error) => {
+    if (!error || res.headersSent) {
+      return;
+    }
+
+    if (error.code === 'ENOENT' || error.statusCode === 404) {
+      return sendError(res, 404, 'File not found');
+    }
+
+    console.error('Serve file error:', error);
+    sendError(res, 500, 'Error serving file');
+  });
+};
+
+module.exports = {
+  serveFile,
+};
@@ -6,99 +6,421 @@
 
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const Attachment = require('../models/Attachment');
 const { sendSuccess, sendError } = require('../utils/response');
-const { uploadToCloudinary } = require('../utils/cloudinary');
+const { getStorage } = require('../utils/storage');
+const { AttachmentError, storeAttachment } = require('../utils/attachments');
+const {
+  emitToUsers,
+  createMessageViews,
+  markDelivered,
+  markConversationRead,
+  refreshUnreadAfterDelete,
+} = require('../sockets/socketHandler');
+const {
+  parseLimit,
+  resolveCursor,
+  buildCursorFilter,
+  cursorSort,
+} = require('../utils/pagination');
+const { parseSearchTerms, buildTextSearch, buildSnippet } = require('../utils/search');
+const {
+  AuthorizationError,
+  authorizeConversation,
+  authorizeMessage,
+} = require('../utils/authorization');
+const { createPrivacyFilter } = require('../utils/privacy');
 const fs = require('fs').promises;
 
+// Cursor position of a loaded message
+const positionOf = (message) => ({ createdAt: message.createdAt, _id: message._id });
+
+/**
+ * Check whether any message exists beyond a position
+ */
+const hasMessagesBeyond = async (baseFilter, position, direction) => {
+  if (!position) {
+    return false;
+  }
+
+  const exists = await Message.exists({
+    $and: [baseFilter, buildCursorFilter(position, direction)],
+  });
+
+  return Boolean(exists);
+};
+
+/**
+ * Load one page of messages walking away from a cursor position
+ * @param {Object} baseFilter - Filter every message must match
+ * @param {Object|null} position - Resolved cursor, or null to start at the newest
+ * @param {String} direction - 'before' or 'after'
+ * @param {Number} limit - Page size
+ * @returns {Object} { messages (chronological), hasMore }
+ */
+const findMessagePage = async (baseFilter, position, direction, limit) => {
+  // Nothing to load on this side, but the caller still needs to know what's there
+  if (limit <= 0) {
+    return { messages: [], hasMore: await hasMessagesBeyond(baseFilter, position, direction) };
+  }
+
+  const filter = position
+    ? { $and: [baseFilter, buildCursorFilter(position, direction)] }
+    : baseFilter;
+
+  const messages = await Message.find(filter)
+    .populate('sender', Message.SENDER_FIELDS)
+    .populate(Message.REPLY_POPULATE)
+    .sort(cursorSort(direction))
+    .limit(limit + 1); // One extra to know whether there are more
+
+  const hasMore = messages.length > limit;
+  if (hasMore) {
+    messages.pop();
+  }
+
+  return {
+    messages: direction === 'before' ? messages.reverse() : messages,
+    hasMore,
+  };
+};
+
+/**
+ * Cursor-mode message listing (before / after / around)
+ * @param {Object} baseFilter - Messages the user can see in the conversation
+ * @returns {Object} { messages, pagination } or { error }
+ */
+const getMessagesByCursor = async (baseFilter, query) => {
+  const { before, after, around } = query;
+  const limit = parseLimit(query.limit);
+
+  let messages;
+  let hasMoreBefore;
+  let hasMoreAfter;
+
+  if (around) {
+    // Jump to a specific message with context on both sides
+    const target = await Message.findOne({ _id: around, ...baseFilter })
+      .populate('sender', Message.SENDER_FIELDS)
+      .populate(Message.REPLY_POPULATE);
+
+    if (!target) {
+      return { error: 'Message to jump to was not found in this conversation' };
+    }
+
+    const position = positionOf(target);
+    const beforeCount = Math.floor((limit - 1) / 2);
+
+    const older = await findMessagePage(baseFilter, position, 'before', beforeCount);
+    const newer = await findMessagePage(baseFilter, position, 'after', limit - 1 - beforeCount);
+
+    messages = [...older.messages, target, ...newer.messages];
+    hasMoreBefore = older.hasMore;
+    hasMoreAfter = newer.hasMore;
+  } else if (after) {
+    const position = await resolveCursor(after, Message, baseFilter);
+
+    if (!position) {
+      return { error: 'Invalid after cursor' };
+    }
+
+    const page = await findMessagePage(baseFilter, position, 'after', limit);
+    messages = page.messages;
+    hasMoreAfter = page.hasMore;
+    hasMoreBefore = await hasMessagesBeyond(
+      baseFilter,
+      messages.length > 0 ? positionOf(messages[0]) : position,
+      'before'
+    );
+  } else {
+    // before cursor, or the newest page when no cursor is given
+    const position = before ? await resolveCursor(before, Message, baseFilter) : null;
+
+    if (before && !position) {
+      return { error: 'Invalid before cursor' };
+    }
+
+    const page = await findMessagePage(baseFilter, position, 'before', limit);
+    messages = page.messages;
+    hasMoreBefore = page.hasMore;
+    hasMoreAfter = await hasMessagesBeyond(
+      baseFilter,
+      messages.length > 0 ? positionOf(messages[messages.length - 1]) : position,
+      'after'
+    );
+  }
+
+  return {
+    messages,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      hasMoreBefore,
+      hasMoreAfter,
+      // Pass these back as before/after to load the adjacent pages
+      beforeCursor: messages.length > 0 ? messages[0]._id : null,
+      afterCursor: messages.length > 0 ? messages[messages.length - 1]._id : null,
+    },
+  };
+};
+
 /**
  * @route   GET /api/messages/:conversationId
- * @desc    Get all messages in a conversation
+ * @desc    Get messages in a conversation
+ *          Page mode:   ?page=1&limit=50 (default, kept for older clients)
+ *          Cursor mode: ?before=<messageId|timestamp>, ?after=<...>,
+ *                       ?around=<messageId> or ?mode=cursor for the newest page
  * @access  Private
  */
 const getMessages = async (req, res) => {
   try {
     const { conversationId } = req.params;
     const userId = req.user._id;
-    const { page = 1, limit = 50 } = req.query;
+    const { page = 1, limit = 50, before, after, around, mode } = req.query;
 
     // Verify conversation exists and user is participant
-    const conversation = await Conversation.findById(conversationId);
+    const conversation = await authorizeConversation(userId, conversationId);
+
+    // Skips anything the user cleared from their history
+    const baseFilter = conversation.visibleMessagesFilter(userId);
+
+    let messages;
+    let pagination;
+
+    if (before || after || around || mode === 'cursor') {
+      const result = await getMessagesByCursor(baseFilter, req.query);
+
+      if (result.error) {
+        return sendError(res, 400, result.error);
+      }
 
-    if (!conversation) {
-      return sendError(res, 404, 'Conversation not found');
+      ({ messages, pagination } = result);
+    } else {
+      // Get messages with pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const pageMessages = await Message.find(baseFilter)
+        .populate('sender', Message.SENDER_FIELDS)
+        .populate(Message.REPLY_POPULATE)
+        .sort({ createdAt: -1 }) // Most recent first
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const totalMessages = await Message.countDocuments(baseFilter);
+
+      messages = pageMessages.reverse(); // Return in chronological order
+      pagination = {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalMessages / parseInt(limit)),
+        totalMessages,
+        hasMore: skip + messages.length < totalMessages,
+      };
     }
 
-    const isParticipant = conversation.participants.some(
-      (p) => p.toString() === userId.toString()
-    );
+    // The user has now received every message on this page
+    await markDelivered({ _id: { $in: messages.map((message) => message._id) } }, userId);
 
-    if (!isParticipant) {
-      return sendError(res, 403, 'Not authorized to access these messages');
+    const applyPrivacyFor = await createPrivacyFilter(userId);
+
+    sendSuccess(res, 200, 'Messages retrieved successfully', {
+      messages: messages.map((message) => message.toClientObject(userId, applyPrivacyFor)),
+      pagination,
+    });
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
     }
+    console.error('Get messages error:', error);
+    sendError(res, 500, 'Error retrieving messages');
+  }
+};
+
+/**
+ * @route   GET /api/messages/search
+ * @desc    Full-text search over messages in the user's conversations
+ *          ?q=term&conversationId=&senderId=&type=&from=&to=&before=&limit=
+ *          Newest matches first; pass nextCursor back as before for more
+ * @access  Private
+ */
+const searchMessages = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { q, conversationId, senderId, type, from, to, before } = req.query;
+    const limit = parseLimit(req.query.limit, 20);
+
+    const terms = parseSearchTerms(q);
+
+    if (terms.length === 0) {
+      return sendError(res, 400, 'Search query is required');
+    }
+
+    // Restrict to conversations the user belongs to
+    const conversations = conversationId
+      ? [await authorizeConversation(userId, conversationId)]
+      : await Conversation.find({ participants: userId }).select('clearedAt');
+
+    if (conversations.length === 0) {
+      return sendSuccess(res, 200, 'Search completed successfully', {
+        results: [],
+        count: 0,
+        pagination: { limit, hasMore: false, nextCursor: null },
+      });
+    }
+
+    const conversationIds = conversations.map((conversation) => conversation._id);
+
+    const filter = {
+      $text: { $search: buildTextSearch(terms) },
+      // Only messages after each conversation's cleared-history cutoff
+      $or: conversations.map((conversation) => conversation.visibleMessagesFilter(userId)),
+      isDeleted: false,
+    };
 
-    // Get messages with pagination
+    if (senderId) {
+      filter.sender = senderId;
+    }
+
+    if (type) {
+      filter.type = type;
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        filter.createdAt.$lte = new Date(to);
+      }
+    }
+
+    if (before) {
+      const position = await resolveCursor(before, Message, {
+        conversationId: { $in: conversationIds },
+      });
+
+      if (!position) {
+        return sendError(res, 400, 'Invalid before cursor');
+      }
+
+      filter.$and = [buildCursorFilter(position, 'before')];
+    }
+
+    const messages = await Message.find(filter)
+      .populate('sender', Message.SENDER_FIELDS)
+      .sort(cursorSort('before'))
+      .limit(limit + 1);
+
+    const hasMore = messages.length > limit;
+    if (hasMore) {
+      messages.pop();
+    }
+
+    const applyPrivacyFor = await createPrivacyFilter(userId);
+
+    const results = messages.map((message) => ({
+      ...message.toClientObject(userId, applyPrivacyFor),
+      ...buildSnippet(
+        message.type === 'text' ? message.content : message.metadata?.fileName || '',
+        terms
+      ),
+    }));
+
+    sendSuccess(res, 200, 'Search completed successfully', {
+      results,
+      count: results.length,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? messages[messages.length - 1]._id : null,
+      },
+    });
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
+    }
+    console.error('Search messages error:', error);
+    sendError(res, 500, 'Error searching messages');
+  }
+};
+
+/**
+ * @route   GET /api/messages/:messageId/thread
+ * @desc    Get replies to a message (oldest first, paginated)
+ * @access  Private
+ */
+const getThread = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+    const { page = 1, limit = 50 } = req.query;
+
+    const { message: parent, conversation } = await authorizeMessage(userId, messageId);
+    const clearedAt = conversation.getClearedAt(userId);
+
+    // The user cleared this message from their history
+    if (clearedAt && parent.createdAt <= clearedAt) {
+      return sendError(res, 404, 'Message not found', null, 'MESSAGE_NOT_FOUND');
+    }
+
+    await parent.populate('sender', Message.SENDER_FIELDS);
+    await parent.populate(Message.REPLY_POPULATE);
+
+    // Replies the user cleared from their history stay hidden too
+    const repliesFilter = { ...conversation.visibleMessagesFilter(userId), replyTo: parent._id };
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const messages = await Message.find({ conversationId })
-      .populate('sender', 'username profilePicture')
-      .sort({ createdAt: -1 }) // Most recent first
+
+    const replies = await Message.find(repliesFilter)
+      .populate('sender', Message.SENDER_FIELDS)
+      .populate(Message.REPLY_POPULATE)
+      .sort({ createdAt: 1 })
       .skip(skip)
       .limit(parseInt(limit));
 
-    const totalMessages = await Message.countDocuments({ conversationId });
+    const totalReplies = await Message.countDocuments(repliesFilter);
+    const applyPrivacyFor = await createPrivacyFilter(userId);
 
-    // Mark messages as delivered if they were sent to current user
-    await Message.updateMany(
-      {
-        conversationId,
-        receiver: userId,
-        status: 'sent',
-      },
-      { status: 'delivered' }
-    );
-
-    sendSuccess(res, 200, 'Messages retrieved successfully', {
-      messages: messages.reverse(), // Return in chronological order
+    sendSuccess(res, 200, 'Thread retrieved successfully', {
+      parent: parent.toClientObject(userId, applyPrivacyFor),
+      replies: replies.map((reply) => reply.toClientObject(userId, applyPrivacyFor)),
       pagination: {
         currentPage: parseInt(page),
-        totalPages: Math.ceil(totalMessages / parseInt(limit)),
-        totalMessages,
-        hasMore: skip + messages.length < totalMessages,
+        totalPages: Math.ceil(totalReplies / parseInt(limit)),
+        totalReplies,
+        hasMore: skip + replies.length < totalReplies,
       },
     });
   } catch (error) {
-    console.error('Get messages error:', error);
-    sendError(res, 500, 'Error retrieving messages');
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
+    }
+    console.error('Get thread error:', error);
+    sendError(res, 500, 'Error retrieving thread');
   }
 };
 
 /**
  * @route   POST /api/messages/upload
- * @desc    Upload image for message
+ * @desc    Upload an image, file, audio recording or video to attach to a message
+ *          (multipart field "file", or "image" for older clients).
+ *          Send the returned attachmentId with send_message.
  * @access  Private
  */
-const uploadImage = async (req, res) => {
+const uploadAttachment = async (req, res) => {
   try {
     if (!req.file) {
-      return sendError(res, 400, 'Please upload an image');
+      return sendError(res, 400, 'Please upload a file');
     }
 
-    // Upload to Cloudinary
-    const result = await uploadToCloudinary(req.file.path, 'chat-spark/messages');
+    // Validates type and size, stores it and records the checksum
+    const attachment = await storeAttachment(req.file, req.user._id);
 
     // Delete local file after upload
     await fs.unlink(req.file.path);
 
-    sendSuccess(res, 200, 'Image uploaded successfully', {
-      url: result.url,
-      width: result.width,
-      height: result.height,
-      size: result.size,
-      format: result.format,
-    });
+    sendSuccess(res, 200, 'File uploaded successfully', attachment.toClientObject());
   } catch (error) {
-    console.error('Upload image error:', error);
-
     // Clean up local file if upload failed
     if (req.file) {
       try {
@@ -108,7 +430,67 @@ const uploadImage = async (req, res) => {
       }
     }
 
-    sendError(res, 500, 'Error uploading image');
+    if (error instanceof AttachmentError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
+    }
+    console.error('Upload attachment error:', error);
+    sendError(res, 500, 'Error uploading file');
+  }
+};
+
+/**
+ * @route   GET /api/messages/:messageId/download
+ * @desc    Download the file attached to a message (participants only)
+ * @access  Private
+ */
+const downloadAttachment = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    const { message, conversation } = await authorizeMessage(userId, messageId);
+    const clearedAt = conversation.getClearedAt(userId);
+
+    if (!message.attachment || message.isDeleted || (clearedAt && message.createdAt <= clearedAt)) {
+      return sendError(res, 404, 'File not found');
+    }
+
+    const attachment = await Attachment.findById(message.attachment);
+
+    if (!attachment) {
+      return sendError(res, 404, 'File not found');
+    }
+
+    const storage = getStorage();
+
+    // Files on a CDN (or stored by a previously configured driver) are fetched from their URL
+    if (attachment.storageDriver !== storage.name || !storage.createReadStream) {
+      return res.redirect(attachment.url);
+    }
+
+    const stream = await storage.createReadStream(attachment.storageKey);
+
+    res.attachment(attachment.originalName);
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'X-Checksum-SHA256': attachment.checksum,
+    });
+
+    stream.on('error', (error) => {
+      console.error('Download stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
+    }
+    if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+      return sendError(res, 404, 'File not found');
+    }
+    console.error('Download attachment error:', error);
+    sendError(res, 500, 'Error downloading file');
   }
 };
 
@@ -122,35 +504,160 @@ const deleteMessage = async (req, res) => {
     const { messageId } = req.params;
     const userId = req.user._id;
 
-    const message = await Message.findById(messageId);
-
-    if (!message) {
-      return sendError(res, 404, 'Message not found');
-    }
+    const { message, conversation } = await authorizeMessage(userId, messageId);
 
     // Only sender can delete their message
     if (message.sender.toString() !== userId.toString()) {
       return sendError(res, 403, 'Not authorized to delete this message');
     }
 
-    // Soft delete (mark as deleted)
-    message.isDeleted = true;
-    message.deletedAt = new Date();
-    message.content = 'This message was deleted';
+    const wasDeleted = message.isDeleted;
+
+    // Soft delete (mark as deleted, dropping earlier versions)
+    message.markDeleted();
     await message.save();
 
+    // It no longer counts towards anyone's unread badge
+    if (!wasDeleted) {
+      await refreshUnreadAfterDelete(conversation, message);
+    }
+
     sendSuccess(res, 200, 'Message deleted successfully', {
-      message,
+      message: message.toClientObject(userId),
     });
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
+    }
     console.error('Delete message error:', error);
     sendError(res, 500, 'Error deleting message');
   }
 };
 
+/**
+ * @route   PUT /api/messages/:messageId
+ * @desc    Edit a text message (sender only, within the edit window)
+ * @access  Private
+ */
+const editMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { content } = req.body;
+    const userId = req.user._id;
+
+    const { message, conversation } = await authorizeMessage(userId, messageId, {
+      write: true,
+    });
+
+    const editError = message.getEditError(userId, content);
+
+    if (editError) {
+      return sendError(res, editError.statusCode, editError.message);
+    }
+
+    message.applyEdit(content);
+    await message.save();
+
+    const messageFor = await createMessageViews(message);
+
+    // Push the edit to the other participant(s) in real time
+    conversation.getOtherParticipants(userId).forEach((recipientId) => {
+      emitToUsers(recipientId, 'message_edited', {
+        message: messageFor(recipientId),
+        conversationId: message.conversationId,
+      });
+    });
+
+    sendSuccess(res, 200, 'Message edited successfully', {
+      message: messageFor(userId),
+    });
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
+    }
+    console.error('Edit message error:', error);
+    sendError(res, 500, 'Error editing message');
+  }
+};
+
+/**
+ * Shared handler for adding/removing reactions over REST
+ */
+const updateReaction = async (req, res, action) => {
+  const { messageId } = req.params;
+  const emoji = action === 'added' ? req.body.emoji : req.params.emoji;
+  const userId = req.user._id;
+
+  const { message, conversation } = await authorizeMessage(userId, messageId, {
+    write: true,
+  });
+
+  if (message.isDeleted) {
+    return sendError(res, 404, 'Message not found');
+  }
+
+  const updatedMessage =
+    action === 'added'
+      ? await Message.addReaction(messageId, userId, emoji)
+      : await Message.removeReaction(messageId, userId, emoji);
+
+  if (!updatedMessage) {
+    return sendError(res, 404, 'Message not found');
+  }
+
+  emitToUsers(conversation.participants, 'reaction_updated', {
+    messageId,
+    conversationId: message.conversationId,
+    userId,
+    emoji,
+    action,
+    reactions: updatedMessage.getReactionSummary(),
+  });
+
+  sendSuccess(res, 200, `Reaction ${action === 'added' ? 'added' : 'removed'} successfully`, {
+    messageId,
+    reactions: updatedMessage.getReactionSummary(userId),
+  });
+};
+
+/**
+ * @route   POST /api/messages/:messageId/reactions
+ * @desc    React to a message with an emoji
+ * @access  Private
+ */
+const addReaction = async (req, res) => {
+  try {
+    await updateReaction(req, res, 'added');
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
+    }
+    console.error('Add reaction error:', error);
+    sendError(res, 500, 'Error adding reaction');
+  }
+};
+
+/**
+ * @route   DELETE /api/messages/:messageId/reactions/:emoji
+ * @desc    Remove own emoji reaction from a message
+ * @access  Private
+ */
+const removeReaction = async (req, res) => {
+  try {
+    await updateReaction(req, res, 'removed');
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
+    }
+    console.error('Remove reaction error:', error);
+    sendError(res, 500, 'Error removing reaction');
+  }
+};
+
 /**
  * @route   PUT /api/messages/:conversationId/read
  * @desc    Mark all messages in conversation as read
+ *          Body: { messageId? } - only read up to this message
  * @access  Private
  */
 const markMessagesAsRead = async (req, res) => {
@@ -159,46 +666,88 @@ const markMessagesAsRead = async (req, res) => {
     const userId = req.user._id;
 
     // Verify conversation exists and user is participant
-    const conversation = await Conversation.findById(conversationId);
+    const conversation = await authorizeConversation(userId, conversationId);
+
+    // Read up to the newest message (or the one given) and notify participants
+    let upTo = null;
+    if (req.body.messageId) {
+      upTo = await Message.findOne({ _id: req.body.messageId, conversationId });
 
-    if (!conversation) {
-      return sendError(res, 404, 'Conversation not found');
+      if (!upTo) {
+        return sendError(res, 404, 'Message not found', null, 'MESSAGE_NOT_FOUND');
+      }
     }
 
-    const isParticipant = conversation.participants.some(
-      (p) => p.toString() === userId.toString()
-    );
+    const result = await markConversationRead(conversation, userId, upTo);
 
-    if (!isParticipant) {
-      return sendError(res, 403, 'Not authorized');
+    sendSuccess(res, 200, 'Messages marked as read', {
+      updatedCount: result ? result.count : 0,
+      lastReadMessageId: result ? result.lastReadMessageId : null,
+      readAt: result ? result.readAt : null,
+    });
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
     }
+    console.error('Mark messages as read error:', error);
+    sendError(res, 500, 'Error marking messages as read');
+  }
+};
 
-    // Mark all unread messages as read
-    const result = await Message.updateMany(
-      {
-        conversationId,
-        receiver: userId,
-        status: { $in: ['sent', 'delivered'] },
-      },
-      { status: 'read' }
+/**
+ * @route   GET /api/messages/:messageId/receipts
+ * @desc    Delivered-at / read-at per recipient (sender only)
+ * @access  Private
+ */
+const getReceipts = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+
+    const { message, conversation } = await authorizeMessage(userId, messageId);
+
+    if (message.sender.toString() !== userId.toString()) {
+      return sendError(res, 403, 'Only the sender can view receipts for this message');
+    }
+
+    const recipientIds = conversation.getOtherParticipants(userId);
+    const users = await User.find({ _id: { $in: recipientIds } }).select(
+      'username profilePicture privacy'
     );
+    const applyPrivacyFor = await createPrivacyFilter(userId);
 
-    // Reset unread count
-    conversation.unreadCount.set(userId.toString(), 0);
-    await conversation.save();
+    const receipts = users.map((user) => ({
+      user: applyPrivacyFor(user),
+      ...message.getReceiptFor(user._id),
+    }));
 
-    sendSuccess(res, 200, 'Messages marked as read', {
-      updatedCount: result.modifiedCount,
+    sendSuccess(res, 200, 'Receipts retrieved successfully', {
+      messageId: message._id,
+      status: message.status,
+      receipts,
+      deliveredCount: receipts.filter((receipt) => receipt.deliveredAt).length,
+      readCount: receipts.filter((receipt) => receipt.readAt).length,
+      recipientCount: receipts.length,
     });
   } catch (error) {
-    console.error('Mark messages as read error:', error);
-    sendError(res, 500, 'Error marking messages as read');
+    if (error instanceof AuthorizationError) {
+      return sendError(res, error.statusCode, error.message, null, error.code);
+    }
+    console.error('Get receipts error:', error);
+    sendError(res, 500, 'Error retrieving receipts');
   }
 };
 
 module.exports = {
   getMessages,
-  uploadImage,
+  searchMessages,
+  getThread,
+  uploadAttachment,
+  downloadAttachment,
   deleteMessage,
+  editMessage,
+  addReaction,
+  removeReaction,
   markMessagesAsRead,
+  getReceipts,
 };
@@ -1,12 +1,48 @@
 /**
  * Chat Request Controller
- * Handles sending, accepting, and rejecting chat requests
+ * Handles sending, accepting, rejecting, and cancelling chat requests
+ * - Notifies the other user in real time once the change is saved, so
+ *   clients never relay request events themselves
+ * - Enforces a daily sending quota and a cooldown after rejection or cancellation
  */
 
 const ChatRequest = require('../models/ChatRequest');
 const Conversation = require('../models/Conversation');
 const User = require('../models/User');
 const { sendSuccess, sendError } = require('../utils/response');
+const { emitToUsers } = require('../sockets/socketHandler');
+const { parseLimit } = require('../utils/pagination');
+const { applyPrivacy, PUBLIC_VIEW, CONTACT_VIEW } = require('../utils/privacy');
+
+// Request states shown in the history endpoint
+const HISTORY_STATUSES = ['rejected', 'cancelled', 'expired'];
+
+/**
+ * Turn a request into a plain object, showing its populated users as
+ * their privacy settings allow (the two users are not contacts yet)
+ */
+const formatRequest = (request, view = PUBLIC_VIEW) => {
+  const object = request.toObject();
+
+  ['sender', 'receiver'].forEach((field) => {
+    if (request[field] && request.populated(field)) {
+      object[field] = applyPrivacy(request[field], view);
+    }
+  });
+
+  return object;
+};
+
+/**
+ * Load a request with both users' public info for responses and events
+ */
+const populateRequest = async (requestId) => {
+  const request = await ChatRequest.findById(requestId)
+    .populate('sender', 'username email profilePicture privacy')
+    .populate('receiver', 'username email profilePicture privacy');
+
+  return formatRequest(request);
+};
 
 /**
  * @route   POST /api/requests/send
@@ -29,6 +65,11 @@ const sendChatRequest = async (req, res) => {
       return sendError(res, 404, 'User not found');
     }
 
+    // Blocked in either direction - don't reveal which
+    if (await User.isBlockedBetween(senderId, receiverId)) {
+      return sendError(res, 403, 'Cannot send request to this user');
+    }
+
     // Check if request already exists
     const existingRequest = await ChatRequest.findOne({
       $or: [
@@ -38,28 +79,53 @@ const sendChatRequest = async (req, res) => {
     });
 
     if (existingRequest) {
-      if (existingRequest.status === 'pending') {
+      if (existingRequest.status === 'pending' && !existingRequest.isExpired()) {
         return sendError(res, 400, 'Request already pending');
       }
       if (existingRequest.status === 'accepted') {
         return sendError(res, 400, 'Already connected with this user');
       }
-      if (existingRequest.status === 'rejected') {
-        // Allow resending after rejection
-        existingRequest.status = 'pending';
-        existingRequest.sender = senderId;
-        existingRequest.receiver = receiverId;
-        existingRequest.message = message || '';
-        await existingRequest.save();
-
-        const populatedRequest = await ChatRequest.findById(existingRequest._id)
-          .populate('sender', 'username email profilePicture')
-          .populate('receiver', 'username email profilePicture');
-
-        return sendSuccess(res, 200, 'Request resent successfully', {
-          request: populatedRequest,
-        });
-      }
+    }
+
+    // Senders must wait a while before asking again after a rejection or cancellation
+    const resendAvailableAt = existingRequest && existingRequest.getResendAvailableAt(senderId);
+    if (resendAvailableAt) {
+      res.set('Retry-After', Math.ceil((resendAvailableAt - Date.now()) / 1000));
+      return sendError(
+        res,
+        429,
+        `Request was ${existingRequest.status}. You can send another after ${resendAvailableAt.toISOString()}`,
+        null,
+        'REQUEST_COOLDOWN'
+      );
+    }
+
+    // Per-user daily quota
+    if ((await ChatRequest.countSentToday(senderId)) >= ChatRequest.DAILY_LIMIT) {
+      return sendError(
+        res,
+        429,
+        `You can send up to ${ChatRequest.DAILY_LIMIT} chat requests per day`,
+        null,
+        'REQUEST_QUOTA_EXCEEDED'
+      );
+    }
+
+    if (existingRequest) {
+      // Allow resending after rejection, cancellation or expiry
+      existingRequest.resend(senderId, receiverId, message);
+      await existingRequest.save();
+      await ChatRequest.recordSend(existingRequest._id, senderId);
+
+      const populatedRequest = await populateRequest(existingRequest._id);
+
+      emitToUsers(receiverId, 'request_received', {
+        request: populatedRequest,
+      });
+
+      return sendSuccess(res, 200, 'Request resent successfully', {
+        request: populatedRequest,
+      });
     }
 
     // Create new request
@@ -68,10 +134,13 @@ const sendChatRequest = async (req, res) => {
       receiver: receiverId,
       message: message || '',
     });
+    await ChatRequest.recordSend(chatRequest._id, senderId);
 
-    const populatedRequest = await ChatRequest.findById(chatRequest._id)
-      .populate('sender', 'username email profilePicture')
-      .populate('receiver', 'username email profilePicture');
+    const populatedRequest = await populateRequest(chatRequest._id);
+
+    emitToUsers(receiverId, 'request_received', {
+      request: populatedRequest,
+    });
 
     sendSuccess(res, 201, 'Chat request sent successfully', {
       request: populatedRequest,
@@ -93,13 +162,13 @@ const getReceivedRequests = async (req, res) => {
 
     const requests = await ChatRequest.find({
       receiver: userId,
-      status: 'pending',
+      ...ChatRequest.activePendingFilter(),
     })
-      .populate('sender', 'username email profilePicture isOnline lastSeen')
+      .populate('sender', 'username email profilePicture isOnline lastSeen privacy')
       .sort({ createdAt: -1 });
 
     sendSuccess(res, 200, 'Received requests retrieved successfully', {
-      requests,
+      requests: requests.map((request) => formatRequest(request)),
       count: requests.length,
     });
   } catch (error) {
@@ -119,13 +188,13 @@ const getSentRequests = async (req, res) => {
 
     const requests = await ChatRequest.find({
       sender: userId,
-      status: 'pending',
+      ...ChatRequest.activePendingFilter(),
     })
-      .populate('receiver', 'username email profilePicture isOnline lastSeen')
+      .populate('receiver', 'username email profilePicture isOnline lastSeen privacy')
       .sort({ createdAt: -1 });
 
     sendSuccess(res, 200, 'Sent requests retrieved successfully', {
-      requests,
+      requests: requests.map((request) => formatRequest(request)),
       count: requests.length,
     });
   } catch (error) {
@@ -134,6 +203,48 @@ const getSentRequests = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/requests/history
+ * @desc    Get rejected, cancelled and expired requests sent or received,
+ *          with when the user may send again
+ * @access  Private
+ */
+const getRequestHistory = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const limit = parseLimit(req.query.limit);
+    const statuses = req.query.status ? [req.query.status] : HISTORY_STATUSES;
+
+    const requests = await ChatRequest.find({
+      $or: [{ sender: userId }, { receiver: userId }],
+      status: { $in: statuses },
+    })
+      .populate('sender', 'username profilePicture privacy')
+      .populate('receiver', 'username profilePicture privacy')
+      .sort({ respondedAt: -1, updatedAt: -1 })
+      .limit(limit);
+
+    const history = requests.map((request) => {
+      const resendAvailableAt = request.getResendAvailableAt(userId);
+
+      return {
+        ...formatRequest(request),
+        direction: request.sender._id.toString() === userId.toString() ? 'sent' : 'received',
+        canResend: !resendAvailableAt,
+        resendAvailableAt,
+      };
+    });
+
+    sendSuccess(res, 200, 'Request history retrieved successfully', {
+      requests: history,
+      count: history.length,
+    });
+  } catch (error) {
+    console.error('Get request history error:', error);
+    sendError(res, 500, 'Error retrieving request history');
+  }
+};
+
 /**
  * @route   PUT /api/requests/:requestId/accept
  * @desc    Accept a chat request
@@ -159,17 +270,53 @@ const acceptRequest = async (req, res) => {
       return sendError(res, 400, 'Request already processed');
     }
 
+    if (chatRequest.isExpired()) {
+      return sendError(res, 400, 'Request has expired', null, 'REQUEST_EXPIRED');
+    }
+
     // Update request status
     chatRequest.status = 'accepted';
+    chatRequest.respondedAt = new Date();
     await chatRequest.save();
 
-    // Create conversation between users
-    const conversation = await Conversation.create({
-      participants: [chatRequest.sender, chatRequest.receiver],
-    });
+    // Reuse the conversation if the two were connected before, otherwise create one
+    let conversation = await Conversation.findOneAndUpdate(
+      {
+        type: { $ne: 'group' },
+        participants: { $all: [chatRequest.sender, chatRequest.receiver] },
+      },
+      {
+        $pull: {
+          archivedBy: { $in: [chatRequest.sender, chatRequest.receiver] },
+          hiddenBy: { $in: [chatRequest.sender, chatRequest.receiver] },
+        },
+      },
+      { new: true }
+    );
+
+    if (!conversation) {
+      conversation = await Conversation.create({
+        participants: [chatRequest.sender, chatRequest.receiver],
+      });
+    }
 
-    const populatedConversation = await Conversation.findById(conversation._id)
-      .populate('participants', 'username email profilePicture isOnline lastSeen');
+    const acceptedConversation = await Conversation.findById(conversation._id)
+      .populate('participants', 'username email profilePicture isOnline lastSeen privacy');
+
+    // The two users are contacts now, and each sees the other as one
+    const populatedConversation = {
+      ...acceptedConversation.toObject(),
+      participants: acceptedConversation.participants.map((participant) =>
+        applyPrivacy(participant, CONTACT_VIEW)
+      ),
+    };
+
+    // Let the sender know they can start chatting
+    emitToUsers(chatRequest.sender, 'request_accepted_notification', {
+      request: chatRequest,
+      conversation: populatedConversation,
+      acceptedBy: userId,
+    });
 
     sendSuccess(res, 200, 'Request accepted successfully', {
       request: chatRequest,
@@ -206,10 +353,20 @@ const rejectRequest = async (req, res) => {
       return sendError(res, 400, 'Request already processed');
     }
 
+    if (chatRequest.isExpired()) {
+      return sendError(res, 400, 'Request has expired', null, 'REQUEST_EXPIRED');
+    }
+
     // Update request status
     chatRequest.status = 'rejected';
+    chatRequest.respondedAt = new Date();
     await chatRequest.save();
 
+    emitToUsers(chatRequest.sender, 'request_rejected', {
+      requestId: chatRequest._id,
+      rejectedBy: userId,
+    });
+
     sendSuccess(res, 200, 'Request rejected successfully', {
       request: chatRequest,
     });
@@ -219,10 +376,61 @@ const rejectRequest = async (req, res) => {
   }
 };
 
+/**
+ * @route   DELETE /api/requests/:requestId
+ * @desc    Cancel a pending chat request you sent
+ * @access  Private
+ */
+const cancelRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const userId = req.user._id;
+
+    const chatRequest = await ChatRequest.findById(requestId);
+
+    if (!chatRequest) {
+      return sendError(res, 404, 'Request not found');
+    }
+
+    // Only sender can cancel
+    if (chatRequest.sender.toString() !== userId.toString()) {
+      return sendError(res, 403, 'Not authorized to cancel this request');
+    }
+
+    if (chatRequest.status !== 'pending') {
+      return sendError(res, 400, 'Request already processed');
+    }
+
+    if (chatRequest.isExpired()) {
+      return sendError(res, 400, 'Request has expired', null, 'REQUEST_EXPIRED');
+    }
+
+    // Update request status
+    chatRequest.status = 'cancelled';
+    chatRequest.respondedAt = new Date();
+    await chatRequest.save();
+
+    // Remove it from the receiver's pending list
+    emitToUsers(chatRequest.receiver, 'request_cancelled', {
+      requestId: chatRequest._id,
+      cancelledBy: userId,
+    });
+
+    sendSuccess(res, 200, 'Request cancelled successfully', {
+      request: chatRequest,
+    });
+  } catch (error) {
+    console.error('Cancel request error:', error);
+    sendError(res, 500, 'Error cancelling request');
+  }
+};
+
 module.exports = {
   sendChatRequest,
   getReceivedRequests,
   getSentRequests,
+  getRequestHistory,
   acceptRequest,
   rejectRequest,
+  cancelRequest,
 };
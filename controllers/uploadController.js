@@ -0,0 +1,125 @@
+/**
+ * Upload Controller
+ * Resumable, chunked uploads of message attachments
+ * (the single-request alternative is POST /api/messages/upload)
+ */
+
+const { sendSuccess, sendError } = require('../utils/response');
+const { AttachmentError } = require('../utils/attachments');
+const {
+  UPLOAD_CHUNK_MAX_BYTES,
+  getUploadSession,
+  createUploadSession,
+  appendChunk,
+  completeUploadSession,
+  cancelUploadSession,
+} = require('../utils/uploads');
+
+/**
+ * Send an upload error, or log and send a generic one
+ */
+const handleUploadError = (res, error, label, message) => {
+  if (error instanceof AttachmentError) {
+    return sendError(res, error.statusCode, error.message, null, error.code);
+  }
+  console.error(`${label} error:`, error);
+  sendError(res, 500, message);
+};
+
+/**
+ * @route   POST /api/uploads
+ * @desc    Start a resumable upload ({ fileName, mimeType, size, checksum })
+ * @access  Private
+ */
+const createUpload = async (req, res) => {
+  try {
+    const session = await createUploadSession(req.user._id, req.body);
+
+    sendSuccess(res, 201, 'Upload started', {
+      ...session.toClientObject(),
+      chunkSize: UPLOAD_CHUNK_MAX_BYTES,
+    });
+  } catch (error) {
+    handleUploadError(res, error, 'Create upload', 'Error starting upload');
+  }
+};
+
+/**
+ * @route   GET /api/uploads/:uploadId
+ * @desc    Get how many bytes an upload has received (where to resume from)
+ * @access  Private
+ */
+const getUploadStatus = async (req, res) => {
+  try {
+    const session = await getUploadSession(req.user._id, req.params.uploadId);
+
+    sendSuccess(res, 200, 'Upload status retrieved', session.toClientObject());
+  } catch (error) {
+    handleUploadError(res, error, 'Get upload', 'Error retrieving upload');
+  }
+};
+
+/**
+ * @route   PUT /api/uploads/:uploadId?offset=
+ * @desc    Upload one chunk (raw body, application/octet-stream) at an offset.
+ *          An optional X-Checksum-SHA256 header verifies the chunk.
+ * @access  Private
+ */
+const uploadChunk = async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return sendError(res, 400, 'Send the chunk as an application/octet-stream body');
+    }
+
+    const session = await appendChunk(
+      req.user._id,
+      req.params.uploadId,
+      req.query.offset,
+      req.body,
+      req.get('X-Checksum-SHA256')
+    );
+
+    sendSuccess(res, 200, 'Chunk received', session.toClientObject());
+  } catch (error) {
+    handleUploadError(res, error, 'Upload chunk', 'Error receiving chunk');
+  }
+};
+
+/**
+ * @route   POST /api/uploads/:uploadId/complete
+ * @desc    Verify the checksum and store the file; returns the attachmentId
+ *          to send with send_message
+ * @access  Private
+ */
+const completeUpload = async (req, res) => {
+  try {
+    const { attachment } = await completeUploadSession(req.user._id, req.params.uploadId);
+
+    sendSuccess(res, 200, 'File uploaded successfully', attachment.toClientObject());
+  } catch (error) {
+    handleUploadError(res, error, 'Complete upload', 'Error completing upload');
+  }
+};
+
+/**
+ * @route   DELETE /api/uploads/:uploadId
+ * @desc    Cancel an upload and delete the received bytes
+ * @access  Private
+ */
+const cancelUpload = async (req, res) => {
+  try {
+    await cancelUploadSession(req.user._id, req.params.uploadId);
+
+    sendSuccess(res, 200, 'Upload cancelled');
+  } catch (error) {
+    handleUploadError(res, error, 'Cancel upload', 'Error cancelling upload');
+  }
+};
+
+module.exports = {
+  createUpload,
+  getUploadStatus,
+  uploadChunk,
+  completeUpload,
+  cancelUpload,
+};
@@ -4,8 +4,12 @@
  */
 
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ChatRequest = require('../models/ChatRequest');
 const { sendSuccess, sendError } = require('../utils/response');
-const { uploadToCloudinary } = require('../utils/cloudinary');
+const { disconnectSessions, getPresenceSnapshot } = require('../sockets/socketHandler');
+const { getStorage } = require('../utils/storage');
+const { createPrivacyFilter } = require('../utils/privacy');
 const fs = require('fs').promises;
 
 /**
@@ -22,15 +26,22 @@ const searchUsers = async (req, res) => {
       return sendError(res, 400, 'Search query is required');
     }
 
+    // Users blocked by or blocking the current user never show up
+    const blockRelations = await User.getBlockRelations(currentUserId);
+
     // Search for users (case-insensitive, partial match)
     // Exclude current user from results
-    const users = await User.find({
+    const results = await User.find({
       username: { $regex: query, $options: 'i' },
-      _id: { $ne: currentUserId },
+      _id: { $ne: currentUserId, $nin: blockRelations },
     })
-      .select('username email profilePicture bio isOnline lastSeen')
+      .select('username email profilePicture bio isOnline lastSeen privacy')
       .limit(20); // Limit results to prevent overload
 
+    // Only show what each user lets the current user see
+    const applyPrivacyFor = await createPrivacyFilter(currentUserId);
+    const users = results.map(applyPrivacyFor);
+
     sendSuccess(res, 200, 'Users retrieved successfully', {
       users,
       count: users.length,
@@ -50,14 +61,18 @@ const getUserProfile = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const user = await User.findById(userId).select(
-      'username email profilePicture bio isOnline lastSeen createdAt'
+    const profile = await User.findById(userId).select(
+      'username email profilePicture bio isOnline lastSeen createdAt privacy'
     );
 
-    if (!user) {
+    if (!profile) {
       return sendError(res, 404, 'User not found');
     }
 
+    // Hide what the user's privacy settings (or a block) keep from the viewer
+    const applyPrivacyFor = await createPrivacyFilter(req.user._id);
+    const user = applyPrivacyFor(profile);
+
     sendSuccess(res, 200, 'User profile retrieved', { user });
   } catch (error) {
     console.error('Get user profile error:', error);
@@ -65,6 +80,30 @@ const getUserProfile = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/users/presence?ids=id1,id2
+ * @desc    Get online status and last seen for several users at once
+ *          (as their privacy settings allow; blocked and unknown users are left out)
+ * @access  Private
+ */
+const getUsersPresence = async (req, res) => {
+  try {
+    const currentUserId = req.user._id;
+    const blockRelations = await User.getBlockRelations(currentUserId);
+
+    const ids = [...new Set(req.query.ids)].filter((id) => !blockRelations.includes(id));
+    const users = await getPresenceSnapshot(currentUserId, ids);
+
+    sendSuccess(res, 200, 'Presence retrieved successfully', {
+      users,
+      count: users.length,
+    });
+  } catch (error) {
+    console.error('Get presence error:', error);
+    sendError(res, 500, 'Error retrieving presence');
+  }
+};
+
 /**
  * @route   PUT /api/users/profile
  * @desc    Update current user profile
@@ -122,8 +161,11 @@ const uploadProfilePicture = async (req, res) => {
 
     const userId = req.user._id;
 
-    // Upload to Cloudinary
-    const result = await uploadToCloudinary(req.file.path, 'chat-spark/profiles');
+    // Upload to the configured storage (Cloudinary, local disk or S3)
+    const result = await getStorage().upload(req.file.path, {
+      folder: 'chat-spark/profiles',
+      mimeType: req.file.mimetype,
+    });
 
     // Delete local file after upload
     await fs.unlink(req.file.path);
@@ -183,6 +225,13 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Log out every other device
+    const revokedSessionIds = await Session.revokeMany(
+      { user: userId, _id: { $ne: req.session._id } },
+      'password_changed'
+    );
+    disconnectSessions(revokedSessionIds);
+
     sendSuccess(res, 200, 'Password changed successfully');
   } catch (error) {
     console.error('Change password error:', error);
@@ -190,10 +239,149 @@ const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * @route   GET /api/users/privacy
+ * @desc    Get current user's privacy settings
+ * @access  Private
+ */
+const getPrivacySettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('privacy');
+
+    sendSuccess(res, 200, 'Privacy settings retrieved successfully', {
+      privacy: user.privacy,
+    });
+  } catch (error) {
+    console.error('Get privacy settings error:', error);
+    sendError(res, 500, 'Error retrieving privacy settings');
+  }
+};
+
+/**
+ * @route   PUT /api/users/privacy
+ * @desc    Update who can see email, profile picture, online status and last seen,
+ *          and whether read receipts are sent
+ * @access  Private
+ */
+const updatePrivacySettings = async (req, res) => {
+  try {
+    const updateData = {};
+
+    ['email', 'profilePicture', 'onlineStatus', 'lastSeen', 'readReceipts'].forEach((setting) => {
+      if (req.body[setting] !== undefined) {
+        updateData[`privacy.${setting}`] = req.body[setting];
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    ).select('privacy');
+
+    sendSuccess(res, 200, 'Privacy settings updated successfully', {
+      privacy: user.privacy,
+    });
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    sendError(res, 500, 'Error updating privacy settings');
+  }
+};
+
+/**
+ * @route   GET /api/users/blocked
+ * @desc    Get users blocked by current user
+ * @access  Private
+ */
+const getBlockedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).populate(
+      'blockedUsers',
+      'username profilePicture'
+    );
+
+    sendSuccess(res, 200, 'Blocked users retrieved successfully', {
+      users: user.blockedUsers,
+      count: user.blockedUsers.length,
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    sendError(res, 500, 'Error retrieving blocked users');
+  }
+};
+
+/**
+ * @route   POST /api/users/:userId/block
+ * @desc    Block a user (they can no longer message, request or see presence)
+ * @access  Private
+ */
+const blockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const currentUserId = req.user._id;
+
+    if (userId === currentUserId.toString()) {
+      return sendError(res, 400, 'Cannot block yourself');
+    }
+
+    const target = await User.findById(userId);
+    if (!target) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    await User.findByIdAndUpdate(currentUserId, {
+      $addToSet: { blockedUsers: userId },
+    });
+
+    // Any pending request between the two is no longer relevant
+    await ChatRequest.updateMany(
+      {
+        status: 'pending',
+        $or: [
+          { sender: currentUserId, receiver: userId },
+          { sender: userId, receiver: currentUserId },
+        ],
+      },
+      { status: 'rejected', respondedAt: new Date() }
+    );
+
+    sendSuccess(res, 200, 'User blocked successfully');
+  } catch (error) {
+    console.error('Block user error:', error);
+    sendError(res, 500, 'Error blocking user');
+  }
+};
+
+/**
+ * @route   DELETE /api/users/:userId/block
+ * @desc    Unblock a user
+ * @access  Private
+ */
+const unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { blockedUsers: userId },
+    });
+
+    sendSuccess(res, 200, 'User unblocked successfully');
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    sendError(res, 500, 'Error unblocking user');
+  }
+};
+
 module.exports = {
   searchUsers,
   getUserProfile,
+  getUsersPresence,
   updateProfile,
   uploadProfilePicture,
   changePassword,
+  getPrivacySettings,
+  updatePrivacySettings,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
 };
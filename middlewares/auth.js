@@ -1,10 +1,11 @@
 /**
  * Authentication Middleware
- * Protects routes by verifying JWT tokens
- * Attaches user object to request for use in controllers
+ * Protects routes by verifying JWT access tokens
+ * Attaches user and session objects to request for use in controllers
  */
 
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { verifyToken } = require('../utils/token');
 const { sendError } = require('../utils/response');
 
@@ -32,6 +33,13 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = verifyToken(token);
 
+      // Session must still be active (not logged out or revoked)
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+      if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+        return sendError(res, 401, 'Session expired or revoked, please log in again');
+      }
+
       // Get user from token (exclude password)
       const user = await User.findById(decoded.id).select('-password');
 
@@ -39,8 +47,9 @@ const protect = async (req, res, next) => {
         return sendError(res, 401, 'User not found');
       }
 
-      // Attach user to request object
+      // Attach user and session to request object
       req.user = user;
+      req.session = session;
       next();
     } catch (error) {
       return sendError(res, 401, 'Not authorized, token invalid or expired');
@@ -4,6 +4,7 @@
  */
 
 const { sendError } = require('../utils/response');
+const { AttachmentError } = require('../utils/attachments');
 
 /**
  * Global error handler
@@ -28,6 +29,22 @@ const errorHandler = (err, req, res, next) => {
     return sendError(res, 400, 'Invalid ID format');
   }
 
+  // Rejected uploads
+  if (err instanceof AttachmentError) {
+    return sendError(res, err.statusCode, err.message, null, err.code);
+  }
+
+  if (err.name === 'MulterError') {
+    return err.code === 'LIMIT_FILE_SIZE'
+      ? sendError(res, 413, 'File is too large', null, 'FILE_TOO_LARGE')
+      : sendError(res, 400, err.message);
+  }
+
+  // Request body over the parser's limit (e.g. an upload chunk)
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large', null, 'FILE_TOO_LARGE');
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return sendError(res, 401, 'Invalid token');
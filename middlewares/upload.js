@@ -1,10 +1,14 @@
 /**
  * File Upload Middleware
- * Handles image uploads using multer
+ * Handles uploads to local disk using multer
+ * - imageUpload: images only (profile pictures)
+ * - attachmentUpload: anything allowed as a message attachment
  */
 
 const multer = require('multer');
 const path = require('path');
+const { AttachmentError, MAX_UPLOAD_BYTES, getAttachmentKind } = require('../utils/attachments');
+const { extensionFor } = require('../utils/storage/keys');
 
 // Configure storage
 const storage = multer.diskStorage({
@@ -12,9 +16,10 @@ const storage = multer.diskStorage({
     cb(null, 'uploads/'); // Make sure this folder exists
   },
   filename: function (req, file, cb) {
-    // Generate unique filename: timestamp-randomstring-originalname
+    // Generate unique filename: timestamp-randomstring, with the extension of
+    // the declared MIME type (never the client's file name)
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
+    cb(null, uniqueSuffix + extensionFor(file.mimetype));
   },
 });
 
@@ -40,4 +45,34 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
-module.exports = upload;
+// Message attachments - per-kind size limits are checked after upload
+const attachmentMulter = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+  },
+  fileFilter: function (req, file, cb) {
+    if (getAttachmentKind(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new AttachmentError('UNSUPPORTED_FILE_TYPE'));
+    }
+  },
+});
+
+// Accept the file as "file" (or "image", for older clients) and expose it as req.file
+const attachmentUpload = [
+  attachmentMulter.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'image', maxCount: 1 },
+  ]),
+  (req, res, next) => {
+    req.file = req.files?.file?.[0] || req.files?.image?.[0];
+    next();
+  },
+];
+
+module.exports = {
+  imageUpload: upload,
+  attachmentUpload,
+};
@@ -0,0 +1,157 @@
+/**
+ * Attachment Model
+ * A file uploaded for a message through POST /api/messages/upload
+ * - Created at upload time, before the message is sent
+ * - Holds what the server verified about the file (type, size, checksum),
+ *   so message metadata never has to be trusted from the client
+ * - Used by at most one message, and only by the user who uploaded it
+ * - Removed with its files if it isn't sent within ATTACHMENT_UNCLAIMED_TTL_HOURS
+ */
+
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Message type the attachment can be sent as
+    kind: {
+      type: String,
+      enum: ['image', 'file', 'audio', 'video'],
+      required: true,
+    },
+    // Where the file lives (storage driver name and its key)
+    storageDriver: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // SHA-256 of the uploaded bytes (hex)
+    checksum: {
+      type: String,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    // Audio and video, measured with ffprobe/ffmpeg at upload
+    duration: Number, // Seconds
+    codec: String,
+    // Audio only
+    waveform: {
+      type: [Number], // Peaks from 0 to 100
+      default: undefined,
+    },
+    // Video only: poster frame and low-res preview generated at upload
+    posterUrl: String,
+    posterKey: String,
+    previewUrl: String,
+    previewKey: String,
+    // Set once a message uses the attachment
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for the unclaimed attachment sweeper
+attachmentSchema.index({ message: 1, createdAt: 1 });
+
+/**
+ * Atomically attach an unused attachment to a message
+ * @param {String} attachmentId - Attachment to use
+ * @param {String} uploaderId - Only the uploader may use it
+ * @param {String} kind - Message type it is being sent as
+ * @param {Object} target - { messageId, conversationId }
+ * @returns {Object|null} Claimed attachment, or null if not found, not theirs,
+ *   of another kind or already used
+ */
+attachmentSchema.statics.claim = function (attachmentId, uploaderId, kind, target) {
+  if (!mongoose.isValidObjectId(attachmentId)) {
+    return null;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: attachmentId, uploader: uploaderId, kind, message: null },
+    { $set: { message: target.messageId, conversationId: target.conversationId } },
+    { new: true }
+  );
+};
+
+// Method to get the content of a message sending this attachment
+// (images, audio and video are shown from their URL, files by name)
+attachmentSchema.methods.getMessageContent = function () {
+  return this.kind === 'file' ? this.originalName : this.url;
+};
+
+// Method to build the message metadata describing this attachment
+attachmentSchema.methods.toMessageMetadata = function () {
+  return {
+    fileName: this.originalName,
+    fileSize: this.size,
+    mimeType: this.mimeType,
+    checksum: this.checksum,
+    width: this.width,
+    height: this.height,
+    duration: this.duration,
+    codec: this.codec,
+    waveform: this.waveform,
+    posterUrl: this.posterUrl,
+    previewUrl: this.previewUrl,
+  };
+};
+
+// Method to convert to the upload result returned to the uploader
+attachmentSchema.methods.toClientObject = function () {
+  return {
+    attachmentId: this._id,
+    type: this.kind,
+    // Files are only downloadable through the message, once sent
+    url: this.kind === 'file' ? undefined : this.url,
+    fileName: this.originalName,
+    mimeType: this.mimeType,
+    size: this.size,
+    checksum: this.checksum,
+    width: this.width,
+    height: this.height,
+    duration: this.duration,
+    codec: this.codec,
+    waveform: this.waveform,
+    posterUrl: this.posterUrl,
+    previewUrl: this.previewUrl,
+  };
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
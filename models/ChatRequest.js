@@ -2,12 +2,31 @@
  * ChatRequest Model
  * Manages friend/chat requests between users
  * - Prevents duplicate requests
- * - Tracks request status: pending, accepted, rejected
+ * - Tracks request status: pending, accepted, rejected, cancelled, expired, revoked
+ * - Accepted requests form the contacts list, with per-user nicknames/favorites
+ * - Pending requests expire after CHAT_REQUEST_EXPIRY_DAYS
+ * - Every send is logged, so cancelling and resending still counts towards the daily quota
  * - Used before users can start chatting
  */
 
 const mongoose = require('mongoose');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a pending request stays open before it expires
+const EXPIRY_MS = (parseFloat(process.env.CHAT_REQUEST_EXPIRY_DAYS) || 14) * DAY_MS;
+
+// Maximum number of requests a user can send in a rolling 24 hours
+const DAILY_LIMIT = parseInt(process.env.CHAT_REQUEST_DAILY_LIMIT) || 20;
+
+// How long a sender must wait before resending a rejected request
+const RESEND_COOLDOWN_MS =
+  (parseFloat(process.env.CHAT_REQUEST_COOLDOWN_HOURS) || 72) * 60 * 60 * 1000;
+
+// How long a sender must wait before resending a request they cancelled
+const CANCEL_COOLDOWN_MS =
+  (parseFloat(process.env.CHAT_REQUEST_CANCEL_COOLDOWN_HOURS) || 24) * 60 * 60 * 1000;
+
 const chatRequestSchema = new mongoose.Schema(
   {
     sender: {
@@ -22,7 +41,7 @@ const chatRequestSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'rejected'],
+      enum: ['pending', 'accepted', 'rejected', 'cancelled', 'expired', 'revoked'],
       default: 'pending',
     },
     message: {
@@ -30,6 +49,46 @@ const chatRequestSchema = new mongoose.Schema(
       default: '',
       maxlength: 200,
     },
+    // When the request was last (re)sent
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Every (re)send of this request, counted towards the sender's daily quota
+    // Only the latest entries are kept - older ones no longer count
+    sendLog: {
+      type: [
+        {
+          _id: false,
+          sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          at: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
+    // When a pending request stops being valid
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + EXPIRY_MS),
+    },
+    // When the request left the pending state
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+    // Contact settings once accepted: userId -> nickname they gave the other user
+    nicknames: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    // Users who marked the other side as a favorite contact
+    favoritedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
   },
   {
     timestamps: true,
@@ -43,5 +102,105 @@ chatRequestSchema.index({ sender: 1, receiver: 1 }, { unique: true });
 // Index for faster queries
 chatRequestSchema.index({ receiver: 1, status: 1 });
 chatRequestSchema.index({ sender: 1, status: 1 });
+chatRequestSchema.index({ 'sendLog.sender': 1, 'sendLog.at': -1 });
+chatRequestSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to check whether a pending request has run out of time
+chatRequestSchema.methods.isExpired = function () {
+  return this.status === 'pending' && Boolean(this.expiresAt) && this.expiresAt <= new Date();
+};
+
+// Method to reopen the request as a fresh pending request
+chatRequestSchema.methods.resend = function (senderId, receiverId, message) {
+  const now = new Date();
+
+  this.status = 'pending';
+  this.sender = senderId;
+  this.receiver = receiverId;
+  this.message = message || '';
+  this.sentAt = now;
+  this.expiresAt = new Date(now.getTime() + EXPIRY_MS);
+  this.respondedAt = null;
+};
+
+/**
+ * Work out when a user may resend a request, or null if they can now
+ * Only the sender of a rejected or cancelled request has to wait
+ */
+chatRequestSchema.methods.getResendAvailableAt = function (userId) {
+  const cooldownMs = { rejected: RESEND_COOLDOWN_MS, cancelled: CANCEL_COOLDOWN_MS }[this.status];
+  const sender = this.sender._id || this.sender;
+
+  if (!cooldownMs || sender.toString() !== userId.toString()) {
+    return null;
+  }
+
+  const availableAt = new Date((this.respondedAt || this.updatedAt).getTime() + cooldownMs);
+  return availableAt > new Date() ? availableAt : null;
+};
+
+// Method to get the user on the other side of the request
+chatRequestSchema.methods.getOtherUser = function (userId) {
+  const sender = this.sender._id || this.sender;
+  const receiver = this.receiver._id || this.receiver;
+  return sender.toString() === userId.toString() ? receiver : sender;
+};
+
+/**
+ * Find the accepted request connecting two users (either direction)
+ */
+chatRequestSchema.statics.findAcceptedBetween = function (userA, userB) {
+  return this.findOne({
+    status: 'accepted',
+    $or: [
+      { sender: userA, receiver: userB },
+      { sender: userB, receiver: userA },
+    ],
+  });
+};
+
+/**
+ * Log a send of a request towards the sender's daily quota
+ * Keeps the latest entries only: each side can send at most DAILY_LIMIT a
+ * day, so older ones can't count any more
+ */
+chatRequestSchema.statics.recordSend = function (requestId, senderId) {
+  return this.updateOne(
+    { _id: requestId },
+    {
+      $push: {
+        sendLog: { $each: [{ sender: senderId, at: new Date() }], $slice: -2 * DAILY_LIMIT },
+      },
+    }
+  );
+};
+
+/**
+ * Count the requests a user has sent in the last 24 hours
+ * Every send counts, including resends of the same request
+ */
+chatRequestSchema.statics.countSentToday = async function (userId) {
+  const sender = new mongoose.Types.ObjectId(userId);
+  const since = new Date(Date.now() - DAY_MS);
+
+  const [result] = await this.aggregate([
+    { $match: { sendLog: { $elemMatch: { sender, at: { $gt: since } } } } },
+    { $unwind: '$sendLog' },
+    { $match: { 'sendLog.sender': sender, 'sendLog.at': { $gt: since } } },
+    { $count: 'count' },
+  ]);
+
+  return result ? result.count : 0;
+};
+
+// Filter matching pending requests that are still open
+chatRequestSchema.statics.activePendingFilter = function () {
+  return { status: 'pending', expiresAt: { $gt: new Date() } };
+};
+
+chatRequestSchema.statics.EXPIRY_MS = EXPIRY_MS;
+chatRequestSchema.statics.DAILY_LIMIT = DAILY_LIMIT;
+chatRequestSchema.statics.RESEND_COOLDOWN_MS = RESEND_COOLDOWN_MS;
+chatRequestSchema.statics.CANCEL_COOLDOWN_MS = CANCEL_COOLDOWN_MS;
 
 module.exports = mongoose.model('ChatRequest', chatRequestSchema);
@@ -1,15 +1,40 @@
 /**
  * Conversation Model
- * Represents a 1-to-1 chat conversation between two users
+ * Represents a chat conversation between users
+ * - direct: 1-to-1 chat between exactly two users
+ * - group: named team channel with owner/admin/member roles
  * - Stores participants
  * - Tracks last message for preview
- * - Manages unread counts for each participant
+ * - Manages unread counts and read pointers for each participant
+ * - Per-participant mute, archive, pin, hide and cleared history
  */
 
 const mongoose = require('mongoose');
 
+// Maximum number of members allowed in a group conversation
+const GROUP_MAX_MEMBERS = parseInt(process.env.GROUP_MAX_MEMBERS) || 256;
+
+// Newest message a participant has read (everything up to it counts as read)
+const readPointerSchema = new mongoose.Schema(
+  {
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+    },
+    // createdAt of that message, for ordering comparisons
+    messageCreatedAt: Date,
+    readAt: Date,
+  },
+  { _id: false }
+);
+
 const conversationSchema = new mongoose.Schema(
   {
+    type: {
+      type: String,
+      enum: ['direct', 'group'],
+      default: 'direct',
+    },
     participants: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -17,6 +42,29 @@ const conversationSchema = new mongoose.Schema(
         required: true,
       },
     ],
+    // Group-only fields
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Group name cannot exceed 100 characters'],
+      default: '',
+    },
+    avatar: {
+      type: String,
+      default: '',
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Members with admin rights (the owner is implicitly an admin)
+    admins: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
     lastMessage: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Message',
@@ -28,20 +76,83 @@ const conversationSchema = new mongoose.Schema(
       of: Number,
       default: {},
     },
+    // Per-participant read pointer: userId -> { message, messageCreatedAt, readAt }
+    readPointers: {
+      type: Map,
+      of: readPointerSchema,
+      default: {},
+    },
+    // Per-participant mute: userId -> muted until (null = until unmuted)
+    mutedUntil: {
+      type: Map,
+      of: Date,
+      default: {},
+    },
+    // Participants who archived the conversation (listed separately)
+    archivedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Participants who pinned the conversation to the top of their list
+    pinnedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Participants who deleted the conversation for themselves
+    // (it reappears when a new message arrives)
+    hiddenBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Per-participant history cutoff: userId -> messages up to this time are hidden
+    clearedAt: {
+      type: Map,
+      of: Date,
+      default: {},
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Ensure exactly 2 participants (1-to-1 chat)
+// Direct chats need exactly 2 participants, groups between 1 and GROUP_MAX_MEMBERS
 conversationSchema.path('participants').validate(function (value) {
+  if (this.type === 'group') {
+    return value.length >= 1 && value.length <= GROUP_MAX_MEMBERS;
+  }
   return value.length === 2;
-}, 'Conversation must have exactly 2 participants');
+}, 'Invalid number of participants for this conversation type');
+
+// Groups must have a name and an owner
+conversationSchema.pre('validate', function (next) {
+  if (this.type === 'group') {
+    if (!this.name) {
+      this.invalidate('name', 'Group name is required');
+    }
+    if (!this.owner) {
+      this.invalidate('owner', 'Group owner is required');
+    }
+  }
+  next();
+});
 
 // Compound index to prevent duplicate conversations and faster lookups
 conversationSchema.index({ participants: 1 });
 
+// Method to check whether a user is part of the conversation
+conversationSchema.methods.isParticipant = function (userId) {
+  return this.participants.some(
+    (participant) => (participant._id || participant).toString() === userId.toString()
+  );
+};
+
 // Method to get the other participant in conversation
 conversationSchema.methods.getOtherParticipant = function (userId) {
   return this.participants.find(
@@ -49,4 +160,167 @@ conversationSchema.methods.getOtherParticipant = function (userId) {
   );
 };
 
+// Method to get all participants except the given user
+conversationSchema.methods.getOtherParticipants = function (userId) {
+  return this.participants.filter(
+    (participant) => (participant._id || participant).toString() !== userId.toString()
+  );
+};
+
+// Method to get a member's role in a group: owner, admin, member (or null)
+conversationSchema.methods.getRole = function (userId) {
+  if (!this.isParticipant(userId)) {
+    return null;
+  }
+
+  const id = userId.toString();
+
+  if (this.owner && (this.owner._id || this.owner).toString() === id) {
+    return 'owner';
+  }
+
+  if (this.admins.some((admin) => (admin._id || admin).toString() === id)) {
+    return 'admin';
+  }
+
+  return 'member';
+};
+
+// Method to check whether a user can manage group members
+conversationSchema.methods.isAdmin = function (userId) {
+  const role = this.getRole(userId);
+  return role === 'owner' || role === 'admin';
+};
+
+// Method to check whether a participant has muted notifications right now
+conversationSchema.methods.isMutedFor = function (userId) {
+  const id = userId.toString();
+
+  if (!this.mutedUntil || !this.mutedUntil.has(id)) {
+    return false;
+  }
+
+  const until = this.mutedUntil.get(id);
+  return !until || until > new Date();
+};
+
+// Method to check whether a participant archived the conversation
+conversationSchema.methods.isArchivedFor = function (userId) {
+  return this.archivedBy.some((id) => id.toString() === userId.toString());
+};
+
+// Method to check whether a participant pinned the conversation
+conversationSchema.methods.isPinnedFor = function (userId) {
+  return this.pinnedBy.some((id) => id.toString() === userId.toString());
+};
+
+// Method to get when a participant last cleared their history (or null)
+conversationSchema.methods.getClearedAt = function (userId) {
+  return this.clearedAt?.get(userId.toString()) || null;
+};
+
+// Method to build the filter for messages a participant can still see
+conversationSchema.methods.visibleMessagesFilter = function (userId) {
+  const clearedAt = this.getClearedAt(userId);
+
+  return clearedAt
+    ? { conversationId: this._id, createdAt: { $gt: clearedAt } }
+    : { conversationId: this._id };
+};
+
+// Method to get a participant's read pointer (or null if they never read anything)
+conversationSchema.methods.getReadPointer = function (userId) {
+  return this.readPointers?.get(userId.toString()) || null;
+};
+
+// Method to build the filter for a participant's unread messages
+// (from others, not deleted, after both their read pointer and cleared-history cutoff)
+conversationSchema.methods.unreadMessagesFilter = function (userId) {
+  const conditions = [
+    this.visibleMessagesFilter(userId),
+    { sender: { $ne: userId }, isDeleted: false },
+  ];
+  const pointer = this.getReadPointer(userId);
+
+  if (pointer) {
+    conditions.push({
+      $or: [
+        { createdAt: { $gt: pointer.messageCreatedAt } },
+        { createdAt: pointer.messageCreatedAt, _id: { $gt: pointer.message } },
+      ],
+    });
+  }
+
+  return { $and: conditions };
+};
+
+// Method to check whether a message still counts as unread for a participant
+conversationSchema.methods.isUnreadFor = function (message, userId) {
+  if ((message.sender._id || message.sender).toString() === userId.toString()) {
+    return false;
+  }
+
+  const clearedAt = this.getClearedAt(userId);
+  if (clearedAt && message.createdAt <= clearedAt) {
+    return false;
+  }
+
+  const pointer = this.getReadPointer(userId);
+  if (!pointer) {
+    return true;
+  }
+
+  const pointerTime = pointer.messageCreatedAt.getTime();
+  const messageTime = message.createdAt.getTime();
+
+  return (
+    messageTime > pointerTime ||
+    (messageTime === pointerTime && message._id.toString() > pointer.message.toString())
+  );
+};
+
+/**
+ * Atomically move a participant's read pointer forward to a message
+ * @returns {Boolean} false if the pointer was already at or past it
+ */
+conversationSchema.statics.advanceReadPointer = async function (
+  conversationId,
+  userId,
+  message,
+  readAt = new Date()
+) {
+  const key = `readPointers.${userId}`;
+
+  const result = await this.updateOne(
+    {
+      _id: conversationId,
+      $or: [
+        { [key]: { $exists: false } },
+        { [`${key}.messageCreatedAt`]: { $lt: message.createdAt } },
+        { [`${key}.messageCreatedAt`]: message.createdAt, [`${key}.message`]: { $lt: message._id } },
+      ],
+    },
+    {
+      $set: {
+        [key]: { message: message._id, messageCreatedAt: message.createdAt, readAt },
+      },
+    },
+    // Reading doesn't make the conversation more recent for anyone
+    { timestamps: false }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Method to get a participant's own view settings
+conversationSchema.methods.getStateFor = function (userId) {
+  return {
+    isArchived: this.isArchivedFor(userId),
+    isPinned: this.isPinnedFor(userId),
+    clearedAt: this.getClearedAt(userId),
+  };
+};
+
+conversationSchema.statics.GROUP_MAX_MEMBERS = GROUP_MAX_MEMBERS;
+
 module.exports = mongoose.model('Conversation', conversationSchema);
@@ -5,12 +5,40 @@
  * - image: Image URLs from uploads
  * - gif: GIF URLs
  * - sticker: Sticker identifiers or URLs
+ * - file: Documents and archives (content is the original file name)
+ * - audio: Voice notes and audio files (content is the playback URL)
+ * - video: Video clips (content is the playback URL; metadata has a poster and preview)
  * 
  * Tracks message status: sent, delivered, read
+ * plus per-recipient delivered-at / read-at receipts
  * Essential for real-time chat functionality
  */
 
 const mongoose = require('mongoose');
+const { applyPrivacy, PUBLIC_VIEW } = require('../utils/privacy');
+
+// Maximum length of quoted content in a reply preview
+const REPLY_PREVIEW_LENGTH = 120;
+
+// How long after sending a message its sender may still edit it
+const MESSAGE_EDIT_WINDOW_MS =
+  parseInt(process.env.MESSAGE_EDIT_WINDOW_MS) || 15 * 60 * 1000; // 15 minutes
+
+// When a recipient got / read the message
+const receiptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const messageSchema = new mongoose.Schema(
   {
@@ -25,14 +53,15 @@ const messageSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Only set for direct conversations; group messages go to every member
     receiver: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      default: null,
     },
     type: {
       type: String,
-      enum: ['text', 'image', 'gif', 'sticker'],
+      enum: ['text', 'image', 'gif', 'sticker', 'file', 'audio', 'video'],
       default: 'text',
       required: true,
     },
@@ -40,23 +69,85 @@ const messageSchema = new mongoose.Schema(
       type: String,
       required: true,
       // For text: the message text
-      // For image/gif: the URL
+      // For image/gif/audio/video: the URL
       // For sticker: sticker ID or URL
+      // For file: the original file name
     },
+    // Message this one replies to (threaded replies / quotes)
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+    // Overall status; for direct messages it mirrors the receiver's receipts
     status: {
       type: String,
       enum: ['sent', 'delivered', 'read'],
       default: 'sent',
     },
+    // Per-recipient receipts with timestamps
+    deliveredTo: [receiptSchema],
+    readBy: [receiptSchema],
+    // Uploaded file behind an image/file/audio/video message (see Attachment)
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attachment',
+      default: null,
+    },
     // Additional metadata for different message types
     metadata: {
-      fileName: String, // For image uploads
+      fileName: String, // For image, file, audio and video uploads
       fileSize: Number,
       mimeType: String,
+      checksum: String, // SHA-256 of the uploaded file
       width: Number,
       height: Number,
+      duration: Number, // Audio/video length in seconds
+      codec: String,
+      waveform: {
+        type: [Number], // Audio peaks from 0 to 100, for drawing the waveform
+        default: undefined,
+      },
+      posterUrl: String, // Video poster frame (JPEG)
+      previewUrl: String, // Low-res MP4 for inline playback
     },
-    // For message deletion/editing features (future)
+    // Emoji reactions - each user may react with several different emoji
+    reactions: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        emoji: {
+          type: String,
+          required: true,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
+    // Message editing
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Previous versions of the content, oldest first
+    editHistory: [
+      {
+        content: String,
+        editedAt: Date,
+        _id: false,
+      },
+    ],
+    // Message deletion
     isDeleted: {
       type: Boolean,
       default: false,
@@ -73,7 +164,282 @@ const messageSchema = new mongoose.Schema(
 
 // Index for efficient message queries
 messageSchema.index({ conversationId: 1, createdAt: -1 });
+messageSchema.index({ conversationId: 1, updatedAt: 1 }); // For sync of edits/deletions
 messageSchema.index({ sender: 1, createdAt: -1 });
 messageSchema.index({ receiver: 1, status: 1 });
+messageSchema.index({ replyTo: 1, createdAt: 1 }, { sparse: true });
+
+// Full-text search over message text (no language stemming, chats are multilingual)
+messageSchema.index(
+  { content: 'text', 'metadata.fileName': 'text' },
+  {
+    name: 'message_text_search',
+    weights: { content: 10, 'metadata.fileName': 5 },
+    default_language: 'none',
+  }
+);
+
+/**
+ * Check whether a user may edit this message right now
+ * @param {String} userId - User attempting the edit
+ * @param {String} content - Proposed new content
+ * @returns {Object|null} { statusCode, message } describing why not, or null if allowed
+ */
+messageSchema.methods.getEditError = function (userId, content) {
+  if (this.sender.toString() !== userId.toString()) {
+    return { statusCode: 403, message: 'Not authorized to edit this message' };
+  }
+
+  if (this.isDeleted) {
+    return { statusCode: 400, message: 'Deleted messages cannot be edited' };
+  }
+
+  if (this.type !== 'text') {
+    return { statusCode: 400, message: 'Only text messages can be edited' };
+  }
+
+  if (Date.now() - this.createdAt.getTime() > MESSAGE_EDIT_WINDOW_MS) {
+    return { statusCode: 400, message: 'Edit window for this message has expired' };
+  }
+
+  if (content === this.content) {
+    return { statusCode: 400, message: 'Message content is unchanged' };
+  }
+
+  return null;
+};
+
+/**
+ * Replace the content, keeping the previous version in editHistory
+ * @param {String} content - New message content
+ */
+messageSchema.methods.applyEdit = function (content) {
+  const now = new Date();
+
+  this.editHistory.push({
+    content: this.content,
+    editedAt: now,
+  });
+  this.content = content;
+  this.isEdited = true;
+  this.editedAt = now;
+};
+
+/**
+ * Soft delete: replace the content and drop every earlier version of it
+ */
+messageSchema.methods.markDeleted = function () {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.content = 'This message was deleted';
+  this.editHistory = [];
+  this.isEdited = false;
+  this.editedAt = undefined;
+};
+
+/**
+ * Compact version of this message for quoting in replies
+ * Long text content is truncated; media messages keep their URL
+ * @returns {Object} Reply preview
+ */
+messageSchema.methods.toReplyPreview = function () {
+  let content = this.content;
+
+  if (this.type === 'text' && content.length > REPLY_PREVIEW_LENGTH) {
+    content = content.slice(0, REPLY_PREVIEW_LENGTH) + '…';
+  }
+
+  return {
+    _id: this._id,
+    sender: this.sender,
+    type: this.type,
+    content,
+    isDeleted: this.isDeleted,
+    createdAt: this.createdAt,
+  };
+};
+
+/**
+ * Convert a message to a plain object for clients:
+ * - replyTo is swapped for a compact preview (expects it to be populated)
+ * - reactions are aggregated into per-emoji counts
+ * - messages with an uploaded attachment get a downloadUrl
+ *   (and audio/video messages a playbackUrl)
+ * - deleted messages never carry their edit history
+ * - a populated sender only shows what the viewer may see of them
+ * @param {String} viewerId - Optional user the object is built for
+ * @param {Function} applyPrivacyFor - Optional privacy filter for the viewer
+ *   (from createPrivacyFilter); without it the sender is shown as to a non-contact
+ * @returns {Object} Message ready to send to clients
+ */
+messageSchema.methods.toClientObject = function (viewerId = null, applyPrivacyFor = null) {
+  const object = this.toObject();
+
+  object.reactions = this.getReactionSummary(viewerId);
+
+  // Populated senders are shown as the viewer may see them (a non-contact by default)
+  if (this.populated('sender') && this.sender) {
+    object.sender = applyPrivacyFor
+      ? applyPrivacyFor(this.sender)
+      : applyPrivacy(this.sender, PUBLIC_VIEW);
+  }
+
+  if (this.replyTo && typeof this.replyTo.toReplyPreview === 'function') {
+    object.replyTo = this.replyTo.toReplyPreview();
+  }
+
+  // Messages deleted before markDeleted cleared it may still have a history
+  if (this.isDeleted) {
+    delete object.editHistory;
+  }
+
+  if (this.attachment && !this.isDeleted) {
+    object.downloadUrl = `/api/messages/${this._id}/download`;
+
+    // Audio and video can be streamed straight from storage by <audio>/<video>
+    if (this.type === 'audio' || this.type === 'video') {
+      object.playbackUrl = this.content;
+    }
+  }
+
+  return object;
+};
+
+/**
+ * Aggregate reactions into per-emoji counts
+ * @param {String} userId - Optional viewer, used to flag their own reactions
+ * @returns {Array} [{ emoji, count, users, reactedByMe }] in first-used order
+ */
+messageSchema.methods.getReactionSummary = function (userId = null) {
+  const summary = new Map();
+
+  this.reactions.forEach((reaction) => {
+    const reactorId = (reaction.user._id || reaction.user).toString();
+
+    if (!summary.has(reaction.emoji)) {
+      summary.set(reaction.emoji, { emoji: reaction.emoji, count: 0, users: [] });
+    }
+
+    const entry = summary.get(reaction.emoji);
+    entry.count += 1;
+    entry.users.push(reactorId);
+  });
+
+  return [...summary.values()].map((entry) => ({
+    ...entry,
+    reactedByMe: userId ? entry.users.includes(userId.toString()) : false,
+  }));
+};
+
+/**
+ * Atomically add a reaction (no-op if the user already reacted with this emoji)
+ * @returns {Object|null} Updated message, or null if it doesn't exist or is deleted
+ */
+messageSchema.statics.addReaction = async function (messageId, userId, emoji) {
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: messageId,
+      isDeleted: false,
+      reactions: { $not: { $elemMatch: { user: userId, emoji } } },
+    },
+    { $push: { reactions: { user: userId, emoji, createdAt: new Date() } } },
+    { new: true }
+  );
+
+  // Filter didn't match either because the reaction exists or the message doesn't
+  return updated || this.findOne({ _id: messageId, isDeleted: false });
+};
+
+/**
+ * Atomically remove a user's reaction
+ * @returns {Object|null} Updated message, or null if it doesn't exist or is deleted
+ */
+messageSchema.statics.removeReaction = async function (messageId, userId, emoji) {
+  return this.findOneAndUpdate(
+    { _id: messageId, isDeleted: false },
+    { $pull: { reactions: { user: userId, emoji } } },
+    { new: true }
+  );
+};
+
+/**
+ * Record delivery to a user for every matching message they haven't got yet
+ * (their own messages are skipped)
+ * @param {Object} filter - Messages to consider
+ * @returns {Object} { messages (_id, sender, conversationId), at }
+ */
+messageSchema.statics.markDeliveredTo = async function (filter, userId) {
+  const at = new Date();
+  const messages = await this.find({
+    $and: [filter, { sender: { $ne: userId }, 'deliveredTo.user': { $ne: userId } }],
+  }).select('sender conversationId');
+
+  if (messages.length > 0) {
+    await this.updateMany(
+      { _id: { $in: messages.map((message) => message._id) }, 'deliveredTo.user': { $ne: userId } },
+      { $push: { deliveredTo: { user: userId, at } } }
+    );
+  }
+
+  // Direct messages to this user move on from 'sent'
+  await this.updateMany(
+    { $and: [filter, { receiver: userId, status: 'sent' }] },
+    { status: 'delivered' }
+  );
+
+  return { messages, at };
+};
+
+/**
+ * Record that a user read every matching message they haven't read yet
+ * (reading implies delivery; their own messages are skipped)
+ * @returns {Number} Number of messages newly marked as read
+ */
+messageSchema.statics.markReadBy = async function (filter, userId, at = new Date()) {
+  const scope = { $and: [filter, { sender: { $ne: userId } }] };
+
+  await this.updateMany(
+    { ...scope, 'deliveredTo.user': { $ne: userId } },
+    { $push: { deliveredTo: { user: userId, at } } }
+  );
+
+  const result = await this.updateMany(
+    { ...scope, 'readBy.user': { $ne: userId } },
+    { $push: { readBy: { user: userId, at } } }
+  );
+
+  await this.updateMany(
+    { ...scope, receiver: userId, status: { $ne: 'read' } },
+    { status: 'read' }
+  );
+
+  return result.modifiedCount;
+};
+
+// Method to get when a user got / read this message (null if not yet)
+messageSchema.methods.getReceiptFor = function (userId) {
+  const id = userId.toString();
+  const find = (receipts) => receipts.find((receipt) => receipt.user.toString() === id);
+
+  return {
+    deliveredAt: find(this.deliveredTo)?.at || null,
+    readAt: find(this.readBy)?.at || null,
+  };
+};
+
+// User fields populated on message senders (privacy is applied per viewer by toClientObject)
+messageSchema.statics.SENDER_FIELDS = 'username profilePicture privacy';
+
+// Populate options for loading the quoted parent of replies
+messageSchema.statics.REPLY_POPULATE = {
+  path: 'replyTo',
+  select: 'sender type content isDeleted createdAt',
+  populate: { path: 'sender', select: 'username' },
+};
+
+messageSchema.statics.EDIT_WINDOW_MS = MESSAGE_EDIT_WINDOW_MS;
+
+// Message types that must be sent with an uploaded attachment
+messageSchema.statics.ATTACHMENT_TYPES = ['file', 'audio', 'video'];
 
 module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,99 @@
+/**
+ * Session Model
+ * One login on one device, backing a rotating refresh token
+ * - Only a hash of the current refresh token is stored
+ * - Access tokens carry the session ID so revocation takes effect immediately
+ * - Expired sessions are removed automatically by a TTL index
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the current refresh token secret
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ipAddress: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // logout, revoked, password_changed, refresh_token_reuse
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB delete sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to get a client-safe view of the session
+sessionSchema.methods.toClientObject = function (currentSessionId = null) {
+  return {
+    _id: this._id,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    isCurrent: currentSessionId
+      ? this._id.toString() === currentSessionId.toString()
+      : false,
+  };
+};
+
+/**
+ * Revoke every active session matching a filter
+ * @param {Object} filter - Session query
+ * @param {String} reason - Why the sessions were revoked
+ * @returns {Array} IDs of the sessions that were revoked
+ */
+sessionSchema.statics.revokeMany = async function (filter, reason) {
+  const sessions = await this.find({ ...filter, revokedAt: null }).select('_id');
+  const sessionIds = sessions.map((session) => session._id);
+
+  if (sessionIds.length > 0) {
+    await this.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+
+  return sessionIds;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
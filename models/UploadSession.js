@@ -0,0 +1,86 @@
+/**
+ * Upload Session Model
+ * A resumable, chunked upload of a message attachment (see utils/uploads.js)
+ * - Chunks are written in order to a part file on this server's disk
+ * - `received` is the offset the next chunk must start at
+ * - Abandoned sessions expire and their part file is removed by a sweeper
+ * - Completed sessions are kept until they expire so a retried complete
+ *   returns the same attachment
+ */
+
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    // Total size in bytes, declared when the upload starts
+    size: {
+      type: Number,
+      required: true,
+    },
+    // SHA-256 (hex) the client declared; checked once all bytes are in
+    checksum: {
+      type: String,
+      required: true,
+    },
+    // Bytes received so far (next chunk offset)
+    received: {
+      type: Number,
+      default: 0,
+    },
+    // Temporary file in uploads/ the chunks are written to
+    partFile: {
+      type: String,
+      required: true,
+    },
+    // uploading -> processing (being verified and stored) -> completed
+    status: {
+      type: String,
+      enum: ['uploading', 'processing', 'completed'],
+      default: 'uploading',
+    },
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attachment',
+      default: null,
+    },
+    // Pushed back by every chunk (and on completion); the sweeper removes sessions past it
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Method to convert to the status object returned to clients
+uploadSessionSchema.methods.toClientObject = function () {
+  return {
+    uploadId: this._id,
+    fileName: this.fileName,
+    mimeType: this.mimeType,
+    size: this.size,
+    offset: this.received,
+    status: this.status,
+    attachmentId: this.attachment,
+    expiresAt: this.expiresAt,
+  };
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
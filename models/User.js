@@ -5,11 +5,21 @@
  * - Password is hashed using bcrypt
  * - Tracks online status and last seen
  * - Profile picture and bio for personalization
+ * - Privacy settings for who sees email, picture, online status and last seen
  */
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Who can see a piece of profile information
+const VISIBILITY_OPTIONS = ['everyone', 'contacts', 'nobody'];
+
+const visibilitySetting = (defaultValue) => ({
+  type: String,
+  enum: VISIBILITY_OPTIONS,
+  default: defaultValue,
+});
+
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -55,16 +65,33 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
-    socketId: {
-      type: String,
-      default: null,
+    privacy: {
+      email: visibilitySetting('contacts'),
+      profilePicture: visibilitySetting('everyone'),
+      onlineStatus: visibilitySetting('everyone'),
+      lastSeen: visibilitySetting('everyone'),
+      // Whether others are told when this user reads their messages
+      readReceipts: {
+        type: Boolean,
+        default: true,
+      },
     },
+    // Users this user has blocked
+    blockedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
   },
   {
     timestamps: true, // Adds createdAt and updatedAt
   }
 );
 
+// Index for finding who has blocked a user
+userSchema.index({ blockedUsers: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   // Only hash if password is modified
@@ -100,8 +127,39 @@ userSchema.methods.getPublicProfile = function () {
     bio: this.bio,
     isOnline: this.isOnline,
     lastSeen: this.lastSeen,
+    privacy: this.privacy,
     createdAt: this.createdAt,
   };
 };
 
+/**
+ * Check whether either of two users has blocked the other
+ * @returns {Promise<Boolean>}
+ */
+userSchema.statics.isBlockedBetween = async function (userA, userB) {
+  const blocked = await this.exists({
+    $or: [
+      { _id: userA, blockedUsers: userB },
+      { _id: userB, blockedUsers: userA },
+    ],
+  });
+
+  return Boolean(blocked);
+};
+
+/**
+ * Get every user in a block relationship with this user (either direction)
+ * @returns {Promise<Array>} User IDs as strings
+ */
+userSchema.statics.getBlockRelations = async function (userId) {
+  const [user, blockedBy] = await Promise.all([
+    this.findById(userId).select('blockedUsers'),
+    this.find({ blockedUsers: userId }).distinct('_id'),
+  ]);
+
+  const ids = [...(user ? user.blockedUsers : []), ...blockedBy].map((id) => id.toString());
+
+  return [...new Set(ids)];
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -4,16 +4,35 @@
 
 const express = require('express');
 const router = express.Router();
-const { register, login, getMe } = require('../controllers/authController');
+const {
+  register,
+  login,
+  getMe,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} = require('../controllers/authController');
 const { protect } = require('../middlewares/auth');
 const { validate } = require('../middlewares/validate');
-const { registerValidation, loginValidation } = require('../utils/validators');
+const {
+  registerValidation,
+  loginValidation,
+  refreshTokenValidation,
+  sessionIdValidation,
+} = require('../utils/validators');
 
 // Public routes
 router.post('/register', registerValidation, validate, register);
 router.post('/login', loginValidation, validate, login);
+router.post('/refresh', refreshTokenValidation, validate, refresh);
 
 // Protected routes
 router.get('/me', protect, getMe);
+router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:sessionId', protect, sessionIdValidation, validate, revokeSession);
 
 module.exports = router;
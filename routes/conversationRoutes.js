@@ -6,21 +6,83 @@ const express = require('express');
 const router = express.Router();
 const {
   getConversations,
+  getUnreadTotal,
   getConversation,
   deleteConversation,
+  clearHistory,
+  archiveConversation,
+  unarchiveConversation,
+  pinConversation,
+  unpinConversation,
+  muteConversation,
+  unmuteConversation,
+  createGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+  updateMemberRole,
+  leaveGroup,
 } = require('../controllers/conversationController');
 const { protect } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const {
+  createGroupValidation,
+  updateGroupValidation,
+  addMembersValidation,
+  groupMemberValidation,
+  updateMemberRoleValidation,
+  conversationListValidation,
+  conversationIdValidation,
+  deleteConversationValidation,
+  muteConversationValidation,
+} = require('../utils/validators');
 
 // All conversation routes are protected
 router.use(protect);
 
 // Get all user conversations
-router.get('/', getConversations);
+router.get('/', conversationListValidation, validate, getConversations);
+
+// Total unread badge (must come before /:conversationId)
+router.get('/unread', getUnreadTotal);
+
+// Create group conversation
+router.post('/group', createGroupValidation, validate, createGroup);
 
 // Get specific conversation
 router.get('/:conversationId', getConversation);
 
-// Delete conversation
-router.delete('/:conversationId', deleteConversation);
+// Update group name/avatar
+router.put('/:conversationId', updateGroupValidation, validate, updateGroup);
+
+// Add group members
+router.post('/:conversationId/members', addMembersValidation, validate, addMembers);
+
+// Remove group member
+router.delete('/:conversationId/members/:userId', groupMemberValidation, validate, removeMember);
+
+// Promote/demote group member
+router.put('/:conversationId/members/:userId/role', updateMemberRoleValidation, validate, updateMemberRole);
+
+// Mute / unmute notifications for current user
+router.put('/:conversationId/mute', muteConversationValidation, validate, muteConversation);
+router.delete('/:conversationId/mute', conversationIdValidation, validate, unmuteConversation);
+
+// Archive / unarchive for current user
+router.put('/:conversationId/archive', conversationIdValidation, validate, archiveConversation);
+router.delete('/:conversationId/archive', conversationIdValidation, validate, unarchiveConversation);
+
+// Pin / unpin for current user
+router.put('/:conversationId/pin', conversationIdValidation, validate, pinConversation);
+router.delete('/:conversationId/pin', conversationIdValidation, validate, unpinConversation);
+
+// Clear history for current user
+router.post('/:conversationId/clear', conversationIdValidation, validate, clearHistory);
+
+// Leave group
+router.post('/:conversationId/leave', conversationIdValidation, validate, leaveGroup);
+
+// Delete conversation for current user (group owners: ?forEveryone=true)
+router.delete('/:conversationId', deleteConversationValidation, validate, deleteConversation);
 
 module.exports = router;
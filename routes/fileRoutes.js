@@ -0,0 +1,13 @@
+/**
+ * File Routes
+ * Signed downloads for the local storage driver
+ */
+
+const express = require('express');
+const router = express.Router();
+const { serveFile } = require('../controllers/fileController');
+
+// Keys contain slashes (folder/name), so match the whole remaining path
+router.get('/*', serveFile);
+
+module.exports = router;
@@ -6,24 +6,61 @@ const express = require('express');
 const router = express.Router();
 const {
   getMessages,
-  uploadImage,
+  searchMessages,
+  getThread,
+  uploadAttachment,
+  downloadAttachment,
   deleteMessage,
+  editMessage,
+  addReaction,
+  removeReaction,
   markMessagesAsRead,
+  getReceipts,
 } = require('../controllers/messageController');
 const { protect } = require('../middlewares/auth');
-const upload = require('../middlewares/upload');
+const { validate } = require('../middlewares/validate');
+const {
+  getMessagesValidation,
+  searchMessagesValidation,
+  editMessageValidation,
+  messageIdValidation,
+  threadValidation,
+  markReadValidation,
+  reactionValidation,
+  removeReactionValidation,
+} = require('../utils/validators');
+const { attachmentUpload } = require('../middlewares/upload');
 
 // All message routes are protected
 router.use(protect);
 
+// Search messages (must come before /:conversationId)
+router.get('/search', searchMessagesValidation, validate, searchMessages);
+
 // Get messages for a conversation
-router.get('/:conversationId', getMessages);
+router.get('/:conversationId', getMessagesValidation, validate, getMessages);
+
+// Get replies to a message
+router.get('/:messageId/thread', threadValidation, validate, getThread);
+
+// Delivered/read receipts per recipient
+router.get('/:messageId/receipts', messageIdValidation, validate, getReceipts);
 
-// Upload image for message
-router.post('/upload', upload.single('image'), uploadImage);
+// Upload an image or file for a message
+router.post('/upload', attachmentUpload, uploadAttachment);
+
+// Download a message's file (participants only)
+router.get('/:messageId/download', messageIdValidation, validate, downloadAttachment);
 
 // Mark messages as read
-router.put('/:conversationId/read', markMessagesAsRead);
+router.put('/:conversationId/read', markReadValidation, validate, markMessagesAsRead);
+
+// Add/remove emoji reactions
+router.post('/:messageId/reactions', reactionValidation, validate, addReaction);
+router.delete('/:messageId/reactions/:emoji', removeReactionValidation, validate, removeReaction);
+
+// Edit message
+router.put('/:messageId', editMessageValidation, validate, editMessage);
 
 // Delete message
 router.delete('/:messageId', deleteMessage);
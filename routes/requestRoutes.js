@@ -8,12 +8,18 @@ const {
   sendChatRequest,
   getReceivedRequests,
   getSentRequests,
+  getRequestHistory,
   acceptRequest,
   rejectRequest,
+  cancelRequest,
 } = require('../controllers/requestController');
 const { protect } = require('../middlewares/auth');
 const { validate } = require('../middlewares/validate');
-const { sendRequestValidation, requestActionValidation } = require('../utils/validators');
+const {
+  sendRequestValidation,
+  requestActionValidation,
+  requestHistoryValidation,
+} = require('../utils/validators');
 
 // All request routes are protected
 router.use(protect);
@@ -27,10 +33,16 @@ router.get('/received', getReceivedRequests);
 // Get sent requests
 router.get('/sent', getSentRequests);
 
+// Get rejected/cancelled/expired request history
+router.get('/history', requestHistoryValidation, validate, getRequestHistory);
+
 // Accept request
 router.put('/:requestId/accept', requestActionValidation, validate, acceptRequest);
 
 // Reject request
 router.put('/:requestId/reject', requestActionValidation, validate, rejectRequest);
 
+// Cancel a sent request
+router.delete('/:requestId', requestActionValidation, validate, cancelRequest);
+
 module.exports = router;
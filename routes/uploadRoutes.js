@@ -0,0 +1,48 @@
+/**
+ * Upload Routes
+ * Resumable, chunked attachment uploads
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  createUpload,
+  getUploadStatus,
+  uploadChunk,
+  completeUpload,
+  cancelUpload,
+} = require('../controllers/uploadController');
+const { protect } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const {
+  createUploadValidation,
+  uploadIdValidation,
+  uploadChunkValidation,
+} = require('../utils/validators');
+const { UPLOAD_CHUNK_MAX_BYTES } = require('../utils/uploads');
+
+// All upload routes are protected
+router.use(protect);
+
+// Start an upload
+router.post('/', createUploadValidation, validate, createUpload);
+
+// Where to resume from
+router.get('/:uploadId', uploadIdValidation, validate, getUploadStatus);
+
+// Send a chunk (raw bytes, whatever the content type)
+router.put(
+  '/:uploadId',
+  express.raw({ type: () => true, limit: UPLOAD_CHUNK_MAX_BYTES }),
+  uploadChunkValidation,
+  validate,
+  uploadChunk
+);
+
+// Verify and store the file
+router.post('/:uploadId/complete', uploadIdValidation, validate, completeUpload);
+
+// Cancel an upload
+router.delete('/:uploadId', uploadIdValidation, validate, cancelUpload);
+
+module.exports = router;
@@ -7,14 +7,31 @@ const router = express.Router();
 const {
   searchUsers,
   getUserProfile,
+  getUsersPresence,
   updateProfile,
   uploadProfilePicture,
   changePassword,
+  getPrivacySettings,
+  updatePrivacySettings,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
 } = require('../controllers/userController');
+const { getContacts, updateContact, removeContact } = require('../controllers/contactController');
 const { protect } = require('../middlewares/auth');
 const { validate } = require('../middlewares/validate');
-const { searchValidation, updateProfileValidation, changePasswordValidation } = require('../utils/validators');
-const upload = require('../middlewares/upload');
+const {
+  searchValidation,
+  updateProfileValidation,
+  changePasswordValidation,
+  userIdValidation,
+  contactsValidation,
+  updateContactValidation,
+  removeContactValidation,
+  updatePrivacyValidation,
+  presenceValidation,
+} = require('../utils/validators');
+const { imageUpload } = require('../middlewares/upload');
 
 // All user routes are protected
 router.use(protect);
@@ -22,6 +39,25 @@ router.use(protect);
 // Search users
 router.get('/search', searchValidation, validate, searchUsers);
 
+// Bulk presence lookup
+router.get('/presence', presenceValidation, validate, getUsersPresence);
+
+// Contacts (accepted chat requests)
+router.get('/contacts', contactsValidation, validate, getContacts);
+router.put('/contacts/:userId', updateContactValidation, validate, updateContact);
+router.delete('/contacts/:userId', removeContactValidation, validate, removeContact);
+
+// Privacy settings
+router.get('/privacy', getPrivacySettings);
+router.put('/privacy', updatePrivacyValidation, validate, updatePrivacySettings);
+
+// Get blocked users
+router.get('/blocked', getBlockedUsers);
+
+// Block / unblock a user
+router.post('/:userId/block', userIdValidation, validate, blockUser);
+router.delete('/:userId/block', userIdValidation, validate, unblockUser);
+
 // Get user profile by ID
 router.get('/:userId', getUserProfile);
 
@@ -29,7 +65,7 @@ router.get('/:userId', getUserProfile);
 router.put('/profile', updateProfileValidation, validate, updateProfile);
 
 // Upload profile picture
-router.post('/profile/picture', upload.single('image'), uploadProfilePicture);
+router.post('/profile/picture', imageUpload.single('image'), uploadProfilePicture);
 
 // Change password
 router.put('/password', changePasswordValidation, validate, changePassword);
@@ -6,7 +6,7 @@
  * - Socket.IO for real-time communication
  * - MongoDB with Mongoose for data persistence
  * - JWT for authentication
- * - Cloudinary for image storage
+ * - Cloudinary, local disk or S3-compatible media storage
  * 
  * FEATURES:
  * - User authentication (register/login)
@@ -38,12 +38,19 @@ const userRoutes = require('./routes/userRoutes');
 const requestRoutes = require('./routes/requestRoutes');
 const conversationRoutes = require('./routes/conversationRoutes');
 const messageRoutes = require('./routes/messageRoutes');
+const fileRoutes = require('./routes/fileRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
 
 // Import middlewares
 const { errorHandler, notFound } = require('./middlewares/error');
 
 // Import socket handler
 const { initializeSocket } = require('./sockets/socketHandler');
+const { setupPresence } = require('./sockets/presence');
+const { startRequestExpirySweeper } = require('./utils/requestExpiry');
+const { startUploadExpirySweeper } = require('./utils/uploads');
+const { startAttachmentExpirySweeper } = require('./utils/attachmentExpiry');
+const { getStorage } = require('./utils/storage');
 
 // Initialize Express app
 const app = express();
@@ -139,6 +146,10 @@ app.use('/api/users', userRoutes);
 app.use('/api/requests', requestRoutes);
 app.use('/api/conversations', conversationRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/uploads', uploadRoutes);
+
+// Signed downloads for media kept on local disk
+app.use('/files', fileRoutes);
 
 // ==========================================
 // ERROR HANDLING
@@ -154,7 +165,13 @@ app.use(errorHandler);
 // SOCKET.IO INITIALIZATION
 // ==========================================
 
-initializeSocket(io);
+// Presence store + adapter (in-memory, or Redis when running several instances)
+const presence = setupPresence(io);
+initializeSocket(io, presence);
+
+// Media storage driver (fails fast on missing settings)
+const storage = getStorage();
+console.log(`🗄️  Media storage: ${storage.name}`);
 
 // ==========================================
 // SERVER STARTUP
@@ -167,6 +184,15 @@ const startServer = async () => {
     // Connect to database first
     await connectDB();
 
+    // Expire stale chat requests in the background
+    startRequestExpirySweeper();
+
+    // Clean up abandoned resumable uploads
+    startUploadExpirySweeper();
+
+    // Remove attachments that were uploaded but never sent
+    startAttachmentExpirySweeper();
+
     // Start server
     server.listen(PORT, () => {
       console.log(`
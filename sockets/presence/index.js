@@ -0,0 +1,56 @@
+/**
+ * Presence & Routing Setup
+ * Picks the presence store and Socket.IO adapter from environment config
+ *
+ * PRESENCE_STORE=memory (default): single instance, everything in-process
+ * PRESENCE_STORE=redis: presence kept in Redis and Socket.IO events routed
+ *   between instances through the Redis pub/sub adapter, so user rooms
+ *   work no matter which instance a socket is connected to
+ */
+
+const Redis = require('ioredis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createMemoryPresence } = require('./memoryPresence');
+const { createRedisPresence } = require('./redisPresence');
+
+/**
+ * Configure the Socket.IO adapter and create the matching presence store
+ * @param {Object} io - Socket.IO server
+ * @returns {Object} Presence store
+ */
+const setupPresence = (io) => {
+  const store = process.env.PRESENCE_STORE || 'memory';
+
+  if (store === 'memory') {
+    return createMemoryPresence();
+  }
+
+  if (store !== 'redis') {
+    throw new Error(`Unknown PRESENCE_STORE "${store}" (expected memory or redis)`);
+  }
+
+  if (!process.env.REDIS_URL) {
+    throw new Error('REDIS_URL is required when PRESENCE_STORE=redis');
+  }
+
+  const pubClient = new Redis(process.env.REDIS_URL);
+  const subClient = pubClient.duplicate();
+
+  pubClient.on('error', (error) => console.error('Redis pub client error:', error.message));
+  subClient.on('error', (error) => console.error('Redis sub client error:', error.message));
+
+  // Route room broadcasts (user rooms, session rooms) across instances
+  io.adapter(createAdapter(pubClient, subClient));
+
+  console.log('🔗 Socket.IO using Redis adapter for presence and routing');
+
+  return createRedisPresence(pubClient, {
+    ttlMs: parseInt(process.env.PRESENCE_TTL_MS) || 60 * 1000,
+  });
+};
+
+module.exports = {
+  setupPresence,
+  createMemoryPresence,
+  createRedisPresence,
+};
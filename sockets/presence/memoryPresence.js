@@ -0,0 +1,77 @@
+/**
+ * In-Memory Presence Store
+ * Tracks connected sockets per user inside this process
+ * Suitable for a single server instance (default)
+ */
+
+/**
+ * Create an in-memory presence store
+ * @returns {Object} Presence store
+ */
+const createMemoryPresence = () => {
+  // { userId: Set of socketIds }
+  const connectedUsers = new Map();
+
+  return {
+    name: 'memory',
+
+    /**
+     * Register a socket for a user
+     * @returns {Promise<Boolean>} True if this is the user's first connected socket
+     */
+    async addSocket(userId, socketId) {
+      if (!connectedUsers.has(userId)) {
+        connectedUsers.set(userId, new Set());
+      }
+
+      const sockets = connectedUsers.get(userId);
+      sockets.add(socketId);
+
+      return sockets.size === 1;
+    },
+
+    /**
+     * Unregister a socket for a user
+     * @returns {Promise<Boolean>} True if the user has no connected sockets left
+     */
+    async removeSocket(userId, socketId) {
+      const sockets = connectedUsers.get(userId);
+
+      // Unknown or already removed (e.g. duplicate disconnect) - nothing changed
+      if (!sockets || !sockets.delete(socketId)) {
+        return false;
+      }
+
+      if (sockets.size === 0) {
+        connectedUsers.delete(userId);
+        return true;
+      }
+
+      return false;
+    },
+
+    /**
+     * Check whether a user has at least one connected socket
+     * @returns {Promise<Boolean>}
+     */
+    async isOnline(userId) {
+      return connectedUsers.has(userId.toString());
+    },
+
+    /**
+     * Filter a list of users down to those currently online
+     * @returns {Promise<Array>} Online user IDs
+     */
+    async getOnlineUserIds(userIds) {
+      return userIds
+        .map((id) => id.toString())
+        .filter((id) => connectedUsers.has(id));
+    },
+
+    async close() {
+      connectedUsers.clear();
+    },
+  };
+};
+
+module.exports = { createMemoryPresence };
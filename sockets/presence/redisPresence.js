@@ -0,0 +1,180 @@
+/**
+ * Redis Presence Store
+ * Tracks connected sockets per user in Redis so every server instance
+ * sees the same presence data
+ *
+ * Each user has a sorted set "presence:user:<userId>" whose members are
+ * socket IDs scored by an expiry timestamp. Every instance refreshes the
+ * scores of its own sockets on a heartbeat, so sockets of an instance that
+ * crashed stop counting once their entries expire.
+ *
+ * Uses the ioredis commands zadd/zrem/zcount/zremrangebyscore/pexpire and
+ * multi().exec().
+ */
+
+const KEY_PREFIX = 'presence:user:';
+
+/**
+ * Create a Redis-backed presence store
+ * @param {Object} client - ioredis-compatible client
+ * @param {Object} options - { ttlMs, heartbeatMs }
+ * @returns {Object} Presence store
+ */
+const createRedisPresence = (client, options = {}) => {
+  const ttlMs = options.ttlMs || 60 * 1000;
+  const heartbeatMs = options.heartbeatMs || Math.floor(ttlMs / 3);
+
+  // Sockets owned by this instance: { userId: Set of socketIds }
+  const localSockets = new Map();
+
+  const keyFor = (userId) => `${KEY_PREFIX}${userId}`;
+
+  // Run a MULTI and unwrap ioredis' [[error, result], ...] replies
+  const execMulti = async (multi) => {
+    const replies = await multi.exec();
+
+    return replies.map(([error, result]) => {
+      if (error) {
+        throw error;
+      }
+      return result;
+    });
+  };
+
+  // Keep this instance's sockets alive in Redis
+  const heartbeat = async () => {
+    if (localSockets.size === 0) {
+      return;
+    }
+
+    const expiresAt = Date.now() + ttlMs;
+    const multi = client.multi();
+
+    localSockets.forEach((sockets, userId) => {
+      sockets.forEach((socketId) => {
+        multi.zadd(keyFor(userId), expiresAt, socketId);
+      });
+      multi.pexpire(keyFor(userId), ttlMs);
+    });
+
+    await execMulti(multi);
+  };
+
+  const timer = setInterval(() => {
+    heartbeat().catch((error) => {
+      console.error('Presence heartbeat error:', error);
+    });
+  }, heartbeatMs);
+
+  // Don't keep the process alive just for the heartbeat
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  return {
+    name: 'redis',
+
+    /**
+     * Register a socket for a user
+     * @returns {Promise<Boolean>} True if this is the user's first connected socket cluster-wide
+     */
+    async addSocket(userId, socketId) {
+      const now = Date.now();
+      const key = keyFor(userId);
+
+      if (!localSockets.has(userId)) {
+        localSockets.set(userId, new Set());
+      }
+      localSockets.get(userId).add(socketId);
+
+      const [, , count] = await execMulti(
+        client
+          .multi()
+          .zremrangebyscore(key, '-inf', now)
+          .zadd(key, now + ttlMs, socketId)
+          .zcount(key, now, '+inf')
+          .pexpire(key, ttlMs)
+      );
+
+      return Number(count) === 1;
+    },
+
+    /**
+     * Unregister a socket for a user
+     * @returns {Promise<Boolean>} True if the user has no connected sockets left cluster-wide
+     */
+    async removeSocket(userId, socketId) {
+      const now = Date.now();
+      const key = keyFor(userId);
+
+      const sockets = localSockets.get(userId);
+      if (sockets) {
+        sockets.delete(socketId);
+        if (sockets.size === 0) {
+          localSockets.delete(userId);
+        }
+      }
+
+      const [removed, , count] = await execMulti(
+        client
+          .multi()
+          .zrem(key, socketId)
+          .zremrangebyscore(key, '-inf', now)
+          .zcount(key, now, '+inf')
+      );
+
+      // Already removed (e.g. duplicate disconnect) - nothing changed
+      return Number(removed) === 1 && Number(count) === 0;
+    },
+
+    /**
+     * Check whether a user has at least one live socket on any instance
+     * @returns {Promise<Boolean>}
+     */
+    async isOnline(userId) {
+      const count = await client.zcount(keyFor(userId), Date.now(), '+inf');
+      return Number(count) > 0;
+    },
+
+    /**
+     * Filter a list of users down to those currently online on any instance
+     * @returns {Promise<Array>} Online user IDs
+     */
+    async getOnlineUserIds(userIds) {
+      const ids = userIds.map((id) => id.toString());
+
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const now = Date.now();
+      const multi = client.multi();
+      ids.forEach((id) => multi.zcount(keyFor(id), now, '+inf'));
+
+      const counts = await execMulti(multi);
+
+      return ids.filter((id, index) => Number(counts[index]) > 0);
+    },
+
+    /**
+     * Stop the heartbeat and remove this instance's sockets
+     */
+    async close() {
+      clearInterval(timer);
+
+      if (localSockets.size === 0) {
+        return;
+      }
+
+      const multi = client.multi();
+      localSockets.forEach((sockets, userId) => {
+        sockets.forEach((socketId) => multi.zrem(keyFor(userId), socketId));
+      });
+      localSockets.clear();
+
+      await execMulti(multi);
+    },
+  };
+};
+
+module.exports = { createRedisPresence };
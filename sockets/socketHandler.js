@@ -8,22 +8,553 @@
  * - typing: User is typing
  * - stop_typing: User stopped typing
  * - message_delivered: Mark message as delivered
- * - message_read: Mark message as read
+ * - message_read: Mark messages as read up to a message (or all)
+ * - sync: Fetch everything missed in given conversations since a point in time
+ * - edit_message: Edit a sent text message
+ * - add_reaction / remove_reaction: React to a message with an emoji
+ * - subscribe_presence: Follow the presence of specific users
  * - disconnect: Client disconnects
  */
 
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Attachment = require('../models/Attachment');
 const { verifyToken } = require('../utils/token');
+const { isEmoji } = require('../utils/validators');
+const {
+  AuthorizationError,
+  authorizeConversation,
+  authorizeDirectMessage,
+  authorizeMessage,
+} = require('../utils/authorization');
+const {
+  createPrivacyFilter,
+  createAudienceFilter,
+  getContactIds,
+  isVisibleTo,
+} = require('../utils/privacy');
+const { AttachmentError } = require('../utils/attachments');
+const { createMemoryPresence } = require('./presence');
 
-// Store connected users: { userId: socketId }
-const connectedUsers = new Map();
+// Socket.IO server instance, set once initializeSocket runs
+let ioInstance = null;
+
+// Presence store tracking every connected socket per user
+// (in-memory by default, Redis-backed when running several instances)
+let presence = createMemoryPresence();
+
+/**
+ * Get the Socket.IO server instance (null before initialization)
+ */
+const getIO = () => ioInstance;
+
+/**
+ * Check whether a user has at least one connected socket on any instance
+ * @returns {Promise<Boolean>}
+ */
+const isUserOnline = (userId) => presence.isOnline(userId);
+
+/**
+ * Filter a list of users down to those currently online on any instance
+ * @returns {Promise<Array>} Online user IDs
+ */
+const getOnlineUserIds = (userIds) => presence.getOnlineUserIds(userIds);
+
+/**
+ * Emit an event to every socket in the personal rooms of the given users
+ * Safe to call from REST controllers; does nothing if sockets aren't initialized
+ * @param {Array|String} userIds - User ID(s) to notify
+ * @param {String} event - Event name
+ * @param {Object} data - Event payload
+ */
+const emitToUsers = (userIds, event, data) => {
+  if (!ioInstance) {
+    return;
+  }
+
+  const rooms = (Array.isArray(userIds) ? userIds : [userIds]).map((id) =>
+    id.toString()
+  );
+
+  if (rooms.length > 0) {
+    ioInstance.to(rooms).emit(event, data);
+  }
+};
+
+/**
+ * Disconnect every socket authenticated with one of the given sessions
+ * @param {Array} sessionIds - Revoked session IDs
+ */
+const disconnectSessions = (sessionIds) => {
+  if (!ioInstance || sessionIds.length === 0) {
+    return;
+  }
+
+  const rooms = sessionIds.map((id) => `session:${id}`);
+
+  ioInstance.in(rooms).disconnectSockets(true);
+};
+
+// Messages pushed per batch when flushing the offline queue on connect
+const OFFLINE_BATCH_SIZE = 200;
+
+// Maximum new/updated messages returned per conversation by the sync event
+const SYNC_MESSAGE_LIMIT = parseInt(process.env.SYNC_MESSAGE_LIMIT) || 500;
+
+// Maximum conversations accepted in one sync request
+const SYNC_MAX_CONVERSATIONS = 100;
+
+// Maximum users per subscribe_presence request
+const PRESENCE_MAX_USERS = 100;
+
+/**
+ * Room joined by sockets that subscribed to a user's presence
+ */
+const presenceRoom = (userId) => `presence:${userId}`;
+
+/**
+ * Find the users who follow a user's presence by default: contacts and
+ * everyone sharing a conversation with them (never blocked users)
+ * @returns {Promise<Object>} { contacts, others, hiddenFrom } as user ID strings
+ */
+const getPresenceAudience = async (userId) => {
+  const [contactIds, participantIds, hiddenFrom] = await Promise.all([
+    getContactIds(userId),
+    Conversation.distinct('participants', { participants: userId }),
+    User.getBlockRelations(userId),
+  ]);
+
+  const excluded = new Set([userId.toString(), ...hiddenFrom]);
+  const contacts = contactIds.filter((id) => !excluded.has(id));
+  const others = participantIds
+    .map((id) => id.toString())
+    .filter((id) => !excluded.has(id) && !contacts.includes(id));
+
+  return { contacts, others, hiddenFrom };
+};
+
+/**
+ * Send a presence change to the users who follow it, as the user's privacy
+ * settings allow: contacts get it unless online status is 'nobody'; other
+ * conversation partners and explicit subscribers only when it is 'everyone'.
+ * lastSeen is dropped for viewers not allowed to see it.
+ * @param {String} userId - User whose presence changed
+ * @param {String} event - user_online or user_offline
+ * @param {Object} data - Event payload
+ */
+const broadcastPresence = async (userId, event, data) => {
+  if (!ioInstance) {
+    return;
+  }
+
+  const user = await User.findById(userId).select('privacy');
+
+  if (!user) {
+    return;
+  }
+
+  const { privacy } = user;
+  const { contacts, others, hiddenFrom } = await getPresenceAudience(userId);
+
+  const payloadFor = (isContact) => {
+    const payload = { ...data };
+    if (!isVisibleTo(privacy.lastSeen, isContact)) {
+      delete payload.lastSeen;
+    }
+    return payload;
+  };
+
+  if (isVisibleTo(privacy.onlineStatus, true)) {
+    emitToUsers(contacts, event, payloadFor(true));
+  }
+
+  if (isVisibleTo(privacy.onlineStatus, false)) {
+    // Contacts were served above; subscribers include anyone who asked
+    ioInstance
+      .to([...others, presenceRoom(userId)])
+      .except([...hiddenFrom, ...contacts, userId.toString()])
+      .emit(event, payloadFor(false));
+  }
+};
+
+/**
+ * Get the current presence of users as a viewer may see it
+ * (online state comes from the presence store, so it is live across instances)
+ * @param {String} viewerId - User asking
+ * @param {Array} userIds - Users to look up
+ * @returns {Promise<Array>} [{ userId, isOnline?, lastSeen? }] for users that exist
+ */
+const getPresenceSnapshot = async (viewerId, userIds) => {
+  const users = await User.find({ _id: { $in: userIds } }).select('lastSeen privacy');
+  const onlineIds = await getOnlineUserIds(users.map((user) => user._id));
+  const applyPrivacyFor = await createPrivacyFilter(viewerId);
+
+  return users.map((user) => {
+    const visible = applyPrivacyFor({
+      _id: user._id,
+      isOnline: onlineIds.includes(user._id.toString()),
+      lastSeen: user.lastSeen,
+      privacy: user.privacy,
+    });
+
+    return {
+      userId: user._id,
+      isOnline: visible.isOnline,
+      lastSeen: visible.lastSeen,
+    };
+  });
+};
+
+/**
+ * Prepare a message to be pushed to several users, each getting it as they
+ * would load it (their own reactions flagged, the sender as the sender's
+ * privacy settings allow them to see)
+ * @param {Object} message - Message document
+ * @returns {Promise<Function>} (viewerId) => client object
+ */
+const createMessageViews = async (message) => {
+  await message.populate('sender', Message.SENDER_FIELDS);
+  if (message.replyTo) {
+    await message.populate(Message.REPLY_POPULATE);
+  }
+
+  const senderAs = await createAudienceFilter(message.sender);
+
+  return (viewerId) => message.toClientObject(viewerId, () => senderAs(viewerId));
+};
+
+/**
+ * Record that messages reached a user and tell their senders
+ * @param {Object} filter - Messages the user just received
+ * @param {String} userId - Receiving user
+ * @returns {Number} Number of messages newly delivered
+ */
+const markDelivered = async (filter, userId) => {
+  const { messages, at } = await Message.markDeliveredTo(filter, userId);
+
+  messages.forEach((message) => {
+    emitToUsers(message.sender, 'message_status_updated', {
+      messageId: message._id,
+      conversationId: message.conversationId,
+      status: 'delivered',
+      userId,
+      deliveredAt: at,
+    });
+  });
+
+  return messages.length;
+};
+
+/**
+ * Recount a participant's unread messages from their read pointer,
+ * store the result and push it to their devices
+ * @param {Object} conversation - Conversation document with an up-to-date read pointer
+ * @returns {Number} Unread count
+ */
+const refreshUnreadCount = async (conversation, userId) => {
+  const unreadCount = await Message.countDocuments(conversation.unreadMessagesFilter(userId));
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $set: { [`unreadCount.${userId}`]: unreadCount } },
+    { timestamps: false }
+  );
+
+  emitToUsers(userId, 'unread_count_updated', {
+    conversationId: conversation._id,
+    unreadCount,
+  });
+
+  return unreadCount;
+};
+
+/**
+ * Recount unread messages for everyone who hadn't read a message that was just deleted
+ */
+const refreshUnreadAfterDelete = async (conversation, message) => {
+  const affectedIds = conversation.participants
+    .map((participant) => participant.toString())
+    .filter((participantId) => conversation.isUnreadFor(message, participantId));
+
+  await Promise.all(affectedIds.map((participantId) => refreshUnreadCount(conversation, participantId)));
+};
+
+/**
+ * Mark a conversation as read by a user up to a message (default: the newest)
+ * Moves their read pointer, stamps read receipts on every message up to it,
+ * and sends a single messages_read event to the participants.
+ * Users who turned read receipts off only get the messages marked delivered,
+ * and only their own devices are told about the read.
+ * @param {Object} conversation - Conversation document
+ * @param {String} userId - Reading user
+ * @param {Object} upTo - Optional message to read up to (inclusive)
+ * @returns {Object|null} { lastReadMessageId, readAt, count }, or null if nothing new was read
+ */
+const markConversationRead = async (conversation, userId, upTo = null) => {
+  const visibleFilter = conversation.visibleMessagesFilter(userId);
+
+  const target =
+    upTo ||
+    (await Message.findOne({ $and: [visibleFilter, { sender: { $ne: userId } }] })
+      .sort({ createdAt: -1, _id: -1 })
+      .select('createdAt'));
+
+  if (!target) {
+    return null;
+  }
+
+  const readAt = new Date();
+  const advanced = await Conversation.advanceReadPointer(conversation._id, userId, target, readAt);
+
+  if (!advanced) {
+    return null;
+  }
+
+  // Everything up to and including the target message
+  const readFilter = {
+    $and: [
+      visibleFilter,
+      {
+        $or: [
+          { createdAt: { $lt: target.createdAt } },
+          { createdAt: target.createdAt, _id: { $lte: target._id } },
+        ],
+      },
+    ],
+  };
+
+  const reader = await User.findById(userId).select('privacy');
+  const sendsReceipts = !reader || reader.privacy.readReceipts !== false;
+
+  const count = sendsReceipts
+    ? await Message.markReadBy(readFilter, userId, readAt)
+    : await markDelivered(readFilter, userId);
+
+  // Recount from the new pointer
+  const updatedConversation = await Conversation.findById(conversation._id);
+  await refreshUnreadCount(updatedConversation, userId);
+
+  const result = { lastReadMessageId: target._id, readAt, count };
+
+  // One event for the whole batch (also syncs the reader's other devices)
+  emitToUsers(sendsReceipts ? conversation.participants : userId, 'messages_read', {
+    conversationId: conversation._id,
+    readBy: userId,
+    ...result,
+  });
+
+  return result;
+};
+
+/**
+ * Push every message that arrived while the user was offline, oldest first
+ * Covers direct and group conversations: anything from someone else that
+ * isn't in the user's delivery receipts yet (and that they haven't read or
+ * cleared from their history)
+ * @param {Object} socket - Newly connected socket
+ */
+const deliverOfflineMessages = async (socket) => {
+  const userId = socket.userId;
+
+  const conversations = await Conversation.find({ participants: userId }).select(
+    'clearedAt readPointers'
+  );
+
+  if (conversations.length === 0) {
+    return;
+  }
+
+  const pendingFilter = {
+    $and: [
+      { $or: conversations.map((conversation) => conversation.unreadMessagesFilter(userId)) },
+      { 'deliveredTo.user': { $ne: userId } },
+    ],
+  };
+
+  // Each batch is marked delivered, so the next query picks up where it left off
+  for (;;) {
+    const messages = await Message.find(pendingFilter)
+      .populate('sender', Message.SENDER_FIELDS)
+      .populate(Message.REPLY_POPULATE)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(OFFLINE_BATCH_SIZE);
+
+    if (messages.length === 0) {
+      return;
+    }
+
+    const applyPrivacyFor = await createPrivacyFilter(userId);
+
+    messages.forEach((message) => {
+      socket.emit('receive_message', {
+        message: message.toClientObject(userId, applyPrivacyFor),
+        conversationId: message.conversationId,
+        offline: true,
+      });
+    });
+
+    await markDelivered({ _id: { $in: messages.map((message) => message._id) } }, userId);
+
+    if (messages.length < OFFLINE_BATCH_SIZE) {
+      return;
+    }
+  }
+};
+
+/**
+ * Report a failed socket event back to the client
+ * Authorization failures carry their error code; anything else is logged
+ * and replaced with a generic message
+ */
+const emitSocketError = (socket, error, logLabel, fallbackMessage) => {
+  if (error instanceof AuthorizationError || error instanceof AttachmentError) {
+    socket.emit('message_error', { error: error.message, code: error.code });
+    return;
+  }
+
+  console.error(logLabel, error);
+  socket.emit('message_error', { error: fallbackMessage });
+};
+
+/**
+ * Work out who should see a typing indicator
+ * Uses the conversation when given (works for groups), otherwise the receiver
+ * @returns {Promise<Array>} Recipient user IDs
+ * @throws {AuthorizationError} When the user may not message there
+ */
+const resolveTypingRecipients = async (userId, { receiverId, conversationId } = {}) => {
+  if (conversationId) {
+    const conversation = await authorizeConversation(userId, conversationId, { write: true });
+    return conversation.getOtherParticipants(userId);
+  }
+
+  await authorizeDirectMessage(userId, receiverId);
+  return [receiverId];
+};
+
+/**
+ * Load a message whose delivery/read status the user is allowed to update
+ * (a direct message sent to them, or a group message from someone else)
+ * @returns {Object} { message, conversation }
+ * @throws {AuthorizationError} MESSAGE_NOT_FOUND, NOT_MESSAGE_RECEIVER
+ */
+const authorizeReceiver = async (userId, messageId) => {
+  const { message, conversation } = await authorizeMessage(userId, messageId);
+  const isSender = message.sender.toString() === userId.toString();
+  const isReceiver = !message.receiver || message.receiver.toString() === userId.toString();
+
+  if (isSender || !isReceiver) {
+    throw new AuthorizationError('NOT_MESSAGE_RECEIVER');
+  }
+
+  return { message, conversation };
+};
+
+/**
+ * Collect what a user missed in one conversation
+ * @param {Object} entry - { conversationId, lastMessageId?, since? } from the client
+ * @param {String} userId - Requesting user
+ * @returns {Object} { conversationId, messages, updated, hasMore } or { conversationId, error }
+ */
+const syncConversation = async (entry, userId) => {
+  const { conversationId, lastMessageId, since } = entry || {};
+
+  let conversation;
+
+  try {
+    conversation = await authorizeConversation(userId, conversationId);
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return { conversationId, error: error.message, code: error.code };
+    }
+    throw error;
+  }
+
+  // Work out the client's position: its last message, or a timestamp
+  let newMessagesFilter = null;
+  let sinceDate = null;
+
+  if (mongoose.isValidObjectId(lastMessageId)) {
+    const lastMessage = await Message.findOne({ _id: lastMessageId, conversationId }).select(
+      'createdAt'
+    );
+
+    if (lastMessage) {
+      sinceDate = lastMessage.createdAt;
+      // Messages created in the same millisecond are ordered by _id
+      newMessagesFilter = {
+        $or: [
+          { createdAt: { $gt: sinceDate } },
+          { createdAt: sinceDate, _id: { $gt: lastMessage._id } },
+        ],
+      };
+    }
+  }
+
+  if (!sinceDate && since) {
+    const parsed = new Date(since);
+
+    if (!isNaN(parsed.getTime())) {
+      sinceDate = parsed;
+      newMessagesFilter = { createdAt: { $gt: sinceDate } };
+    }
+  }
+
+  if (!sinceDate) {
+    return { conversationId, error: 'A valid lastMessageId or since timestamp is required' };
+  }
+
+  // Anything the user cleared from their history stays hidden
+  const visibleFilter = conversation.visibleMessagesFilter(userId);
+
+  // New messages, oldest first (one extra to detect hasMore)
+  const messages = await Message.find({ $and: [visibleFilter, newMessagesFilter] })
+    .populate('sender', Message.SENDER_FIELDS)
+    .populate(Message.REPLY_POPULATE)
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(SYNC_MESSAGE_LIMIT + 1);
+
+  const hasMore = messages.length > SYNC_MESSAGE_LIMIT;
+  if (hasMore) {
+    messages.pop();
+  }
+
+  // Older messages changed since then (edits, deletions, reactions, status)
+  const updated = await Message.find({
+    $and: [visibleFilter, { createdAt: { $lte: sinceDate }, updatedAt: { $gt: sinceDate } }],
+  })
+    .populate('sender', Message.SENDER_FIELDS)
+    .populate(Message.REPLY_POPULATE)
+    .sort({ updatedAt: 1 })
+    .limit(SYNC_MESSAGE_LIMIT);
+
+  await markDelivered({ _id: { $in: messages.map((message) => message._id) } }, userId);
+
+  const applyPrivacyFor = await createPrivacyFilter(userId);
+
+  return {
+    conversationId,
+    messages: messages.map((message) => message.toClientObject(userId, applyPrivacyFor)),
+    updated: updated.map((message) => message.toClientObject(userId, applyPrivacyFor)),
+    hasMore,
+  };
+};
 
 /**
  * Initialize Socket.IO handlers
+ * @param {Object} io - Socket.IO server
+ * @param {Object} presenceStore - Optional presence store (see sockets/presence)
  */
-const initializeSocket = (io) => {
+const initializeSocket = (io, presenceStore) => {
+  ioInstance = io;
+
+  if (presenceStore) {
+    presence = presenceStore;
+  }
+
   // Middleware: Authenticate socket connections
   io.use(async (socket, next) => {
     try {
@@ -35,6 +566,13 @@ const initializeSocket = (io) => {
 
       // Verify JWT token
       const decoded = verifyToken(token);
+
+      // Reject tokens from logged out or revoked sessions
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+      if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+        return next(new Error('Authentication error: Session expired or revoked'));
+      }
       
       // Get user from database
       const user = await User.findById(decoded.id);
@@ -46,6 +584,7 @@ const initializeSocket = (io) => {
       // Attach user to socket
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.sessionId = session._id.toString();
       
       next();
     } catch (error) {
@@ -59,51 +598,80 @@ const initializeSocket = (io) => {
     const userId = socket.userId;
     console.log(`✅ User connected: ${userId} (Socket: ${socket.id})`);
 
-    // Store user's socket ID
-    connectedUsers.set(userId, socket.id);
+    // Join user's personal room - every device of a user shares it,
+    // so emitting to the room reaches all of them
+    socket.join(userId);
+
+    // Track this socket; only the first device brings the user online.
+    // Not awaited, so the event handlers below are registered before the
+    // client starts emitting
+    presence
+      .addSocket(userId, socket.id)
+      .then(async (isFirstConnection) => {
+        if (!isFirstConnection) {
+          return;
+        }
 
-    // Update user status to online
-    await User.findByIdAndUpdate(userId, {
-      isOnline: true,
-      socketId: socket.id,
-    });
+        // Update user status to online
+        await User.findByIdAndUpdate(userId, { isOnline: true });
 
-    // Notify all connected users that this user is online
-    socket.broadcast.emit('user_online', {
-      userId,
-      isOnline: true,
-    });
+        // Notify the users who follow this user's presence
+        await broadcastPresence(userId, 'user_online', {
+          userId,
+          isOnline: true,
+        });
+      })
+      .catch((error) => {
+        console.error('Presence update error:', error);
+      });
 
-    // Join user's personal room for private messages
-    socket.join(userId);
+    // Join session room so revoking the session can disconnect this socket
+    socket.join(`session:${socket.sessionId}`);
+
+    // Flush messages that arrived while the user was offline
+    deliverOfflineMessages(socket).catch((error) => {
+      console.error('Offline delivery error:', error);
+    });
 
     /**
      * SEND MESSAGE EVENT
-     * Client sends: { receiverId, type, content, conversationId (optional) }
+     * Client sends: { receiverId, type, content, conversationId (optional), replyToId (optional),
+     *   attachmentId (optional) }
+     * For group conversations conversationId is required and receiverId is ignored
+     * File, audio and video messages need the attachmentId returned by POST /api/messages/upload;
+     * content and metadata are then taken from the upload
      */
     socket.on('send_message', async (data) => {
       try {
-        const { receiverId, type, content, conversationId, metadata } = data;
+        const { receiverId, type, content, conversationId, metadata, replyToId, attachmentId } =
+          data;
         const senderId = userId;
 
-        console.log('📨 Message received:', { senderId, receiverId, type });
+        console.log('📨 Message received:', { senderId, receiverId, conversationId, type });
 
         // Validate required fields
-        if (!receiverId || !type || !content) {
+        if (!type || (!content && !attachmentId) || (!receiverId && !conversationId)) {
           socket.emit('message_error', {
             error: 'Missing required fields',
           });
           return;
         }
 
+        if (Message.ATTACHMENT_TYPES.includes(type) && !attachmentId) {
+          throw new AttachmentError('ATTACHMENT_REQUIRED');
+        }
+
         // Find or create conversation
         let conversation;
         
         if (conversationId) {
-          conversation = await Conversation.findById(conversationId);
+          conversation = await authorizeConversation(senderId, conversationId, { write: true });
         } else {
+          await authorizeDirectMessage(senderId, receiverId);
+
           // Find existing conversation or create new one
           conversation = await Conversation.findOne({
+            type: { $ne: 'group' },
             participants: { $all: [senderId, receiverId] },
           });
 
@@ -114,56 +682,119 @@ const initializeSocket = (io) => {
           }
         }
 
+        // Replies must quote a message from the same conversation
+        if (replyToId) {
+          const parent = await Message.findById(replyToId).select('conversationId');
+
+          if (!parent || parent.conversationId.toString() !== conversation._id.toString()) {
+            socket.emit('message_error', {
+              error: 'Replied message not found in this conversation',
+            });
+            return;
+          }
+        }
+
+        const isGroup = conversation.type === 'group';
+        const recipientIds = conversation
+          .getOtherParticipants(senderId)
+          .map((id) => id.toString());
+
+        // Each upload can be sent once, by its uploader, as the type it was uploaded as
+        const messageId = new mongoose.Types.ObjectId();
+        let attachment = null;
+
+        if (attachmentId) {
+          attachment = await Attachment.claim(attachmentId, senderId, type, {
+            messageId,
+            conversationId: conversation._id,
+          });
+
+          if (!attachment) {
+            throw new AttachmentError('ATTACHMENT_NOT_FOUND');
+          }
+        }
+
         // Create message
         const message = await Message.create({
+          _id: messageId,
           conversationId: conversation._id,
           sender: senderId,
-          receiver: receiverId,
+          receiver: isGroup ? null : recipientIds[0],
           type,
-          content,
+          content: attachment ? attachment.getMessageContent() : content,
           status: 'sent',
-          metadata: metadata || {},
+          attachment: attachment ? attachment._id : null,
+          metadata: attachment ? attachment.toMessageMetadata() : metadata || {},
+          replyTo: replyToId || null,
         });
 
-        // Populate sender info
-        await message.populate('sender', 'username profilePicture');
+        // Populate sender info and quoted parent; each recipient sees the
+        // sender as the sender's privacy settings allow
+        const messageFor = await createMessageViews(message);
 
-        // Update conversation's last message
-        conversation.lastMessage = message._id;
-        conversation.updatedAt = new Date();
-        
-        // Increment unread count for receiver
-        const currentUnread = conversation.unreadCount.get(receiverId) || 0;
-        conversation.unreadCount.set(receiverId, currentUnread + 1);
-        
-        await conversation.save();
+        // Update last message and increment every recipient's unread count atomically
+        // (conversations deleted "for me" come back when a new message arrives)
+        const unreadIncrements = {};
+        recipientIds.forEach((recipientId) => {
+          unreadIncrements[`unreadCount.${recipientId}`] = 1;
+        });
 
-        // Check if receiver is online
-        const receiverSocketId = connectedUsers.get(receiverId);
+        conversation = await Conversation.findByIdAndUpdate(
+          conversation._id,
+          {
+            $set: { lastMessage: message._id, hiddenBy: [] },
+            $inc: unreadIncrements,
+          },
+          { new: true }
+        );
 
-        if (receiverSocketId) {
-          // Receiver is online - send message immediately
-          io.to(receiverSocketId).emit('receive_message', {
-            message,
+        recipientIds.forEach((recipientId) => {
+          emitToUsers(recipientId, 'unread_count_updated', {
             conversationId: conversation._id,
+            unreadCount: conversation.unreadCount.get(recipientId) || 0,
+          });
+        });
+
+        // Recipients who muted the conversation still get the message,
+        // flagged so clients don't raise a notification
+        const deliverToRecipients = () => {
+          recipientIds.forEach((recipientId) => {
+            emitToUsers(recipientId, 'receive_message', {
+              message: messageFor(recipientId),
+              conversationId: conversation._id,
+              notify: !conversation.isMutedFor(recipientId),
+            });
           });
+        };
+
+        if (isGroup) {
+          // Fan the message out to every other member's personal room
+          deliverToRecipients();
+        } else if (await isUserOnline(recipientIds[0])) {
+          // Receiver is online - send message to all of their devices
+          deliverToRecipients();
 
           // Auto-update status to delivered since receiver is online
           message.status = 'delivered';
+          message.deliveredTo.push({ user: recipientIds[0], at: new Date() });
           await message.save();
         }
 
+        // Sync the new message to the sender's other devices
+        socket.to(senderId).emit('receive_message', {
+          message: messageFor(senderId),
+          conversationId: conversation._id,
+          notify: false,
+        });
+
         // Send confirmation to sender
         socket.emit('message_sent', {
-          message,
+          message: messageFor(senderId),
           conversationId: conversation._id,
         });
 
       } catch (error) {
-        console.error('Send message error:', error);
-        socket.emit('message_error', {
-          error: 'Failed to send message',
-        });
+        emitSocketError(socket, error, 'Send message error:', 'Failed to send message');
       }
     });
 
@@ -171,20 +802,17 @@ const initializeSocket = (io) => {
      * TYPING EVENT
      * Client sends: { receiverId, conversationId }
      */
-    socket.on('typing', (data) => {
+    socket.on('typing', async (data) => {
       try {
-        const { receiverId, conversationId } = data;
-        const receiverSocketId = connectedUsers.get(receiverId);
-
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('user_typing', {
-            userId,
-            conversationId,
-            isTyping: true,
-          });
-        }
+        const recipientIds = await resolveTypingRecipients(userId, data);
+
+        emitToUsers(recipientIds, 'user_typing', {
+          userId,
+          conversationId: data.conversationId,
+          isTyping: true,
+        });
       } catch (error) {
-        console.error('Typing event error:', error);
+        emitSocketError(socket, error, 'Typing event error:', 'Failed to send typing status');
       }
     });
 
@@ -192,20 +820,17 @@ const initializeSocket = (io) => {
      * STOP TYPING EVENT
      * Client sends: { receiverId, conversationId }
      */
-    socket.on('stop_typing', (data) => {
+    socket.on('stop_typing', async (data) => {
       try {
-        const { receiverId, conversationId } = data;
-        const receiverSocketId = connectedUsers.get(receiverId);
-
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('user_typing', {
-            userId,
-            conversationId,
-            isTyping: false,
-          });
-        }
+        const recipientIds = await resolveTypingRecipients(userId, data);
+
+        emitToUsers(recipientIds, 'user_typing', {
+          userId,
+          conversationId: data.conversationId,
+          isTyping: false,
+        });
       } catch (error) {
-        console.error('Stop typing event error:', error);
+        emitSocketError(socket, error, 'Stop typing event error:', 'Failed to send typing status');
       }
     });
 
@@ -216,83 +841,32 @@ const initializeSocket = (io) => {
     socket.on('message_delivered', async (data) => {
       try {
         const { messageId } = data;
+        const { message } = await authorizeReceiver(userId, messageId);
 
-        const message = await Message.findByIdAndUpdate(
-          messageId,
-          { status: 'delivered' },
-          { new: true }
-        );
-
-        if (message) {
-          const senderSocketId = connectedUsers.get(message.sender.toString());
-          
-          if (senderSocketId) {
-            io.to(senderSocketId).emit('message_status_updated', {
-              messageId,
-              status: 'delivered',
-            });
-          }
-        }
+        await markDelivered({ _id: message._id }, userId);
       } catch (error) {
-        console.error('Message delivered error:', error);
+        emitSocketError(socket, error, 'Message delivered error:', 'Failed to update message status');
       }
     });
 
     /**
      * MESSAGE READ EVENT
-     * Client sends: { messageId } or { conversationId }
+     * Client sends: { messageId } to read up to that message,
+     * or { conversationId } to read everything
      */
     socket.on('message_read', async (data) => {
       try {
         const { messageId, conversationId } = data;
 
         if (messageId) {
-          // Mark single message as read
-          const message = await Message.findByIdAndUpdate(
-            messageId,
-            { status: 'read' },
-            { new: true }
-          );
-
-          if (message) {
-            const senderSocketId = connectedUsers.get(message.sender.toString());
-            
-            if (senderSocketId) {
-              io.to(senderSocketId).emit('message_status_updated', {
-                messageId,
-                status: 'read',
-              });
-            }
-          }
+          const { message, conversation } = await authorizeReceiver(userId, messageId);
+          await markConversationRead(conversation, userId, message);
         } else if (conversationId) {
-          // Mark all messages in conversation as read
-          await Message.updateMany(
-            {
-              conversationId,
-              receiver: userId,
-              status: { $in: ['sent', 'delivered'] },
-            },
-            { status: 'read' }
-          );
-
-          // Notify sender(s)
-          const messages = await Message.find({
-            conversationId,
-            receiver: userId,
-          });
-
-          messages.forEach((msg) => {
-            const senderSocketId = connectedUsers.get(msg.sender.toString());
-            if (senderSocketId) {
-              io.to(senderSocketId).emit('messages_read', {
-                conversationId,
-                readBy: userId,
-              });
-            }
-          });
+          const conversation = await authorizeConversation(userId, conversationId);
+          await markConversationRead(conversation, userId);
         }
       } catch (error) {
-        console.error('Message read error:', error);
+        emitSocketError(socket, error, 'Message read error:', 'Failed to update message status');
       }
     });
 
@@ -303,12 +877,7 @@ const initializeSocket = (io) => {
     socket.on('delete_message', async (data) => {
       try {
         const { messageId } = data;
-        const message = await Message.findById(messageId);
-
-        if (!message) {
-          socket.emit('message_error', { error: 'Message not found' });
-          return;
-        }
+        const { message, conversation } = await authorizeMessage(userId, messageId);
 
         // Only sender can delete their message
         if (message.sender.toString() !== userId) {
@@ -316,97 +885,273 @@ const initializeSocket = (io) => {
           return;
         }
 
-        // Soft delete
-        message.isDeleted = true;
-        message.deletedAt = new Date();
-        message.content = 'This message was deleted';
+        const wasDeleted = message.isDeleted;
+
+        // Soft delete (dropping earlier versions)
+        message.markDeleted();
         await message.save();
 
-        // Notify receiver
-        const receiverSocketId = connectedUsers.get(message.receiver.toString());
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('message_deleted', {
-            messageId,
-            conversationId: message.conversationId,
-          });
+        if (!wasDeleted) {
+          await refreshUnreadAfterDelete(conversation, message);
         }
 
+        // Notify the other participant(s)
+        emitToUsers(conversation.getOtherParticipants(userId), 'message_deleted', {
+          messageId,
+          conversationId: message.conversationId,
+        });
+
         // Confirm to sender
         socket.emit('message_deleted', {
           messageId,
           conversationId: message.conversationId,
         });
       } catch (error) {
-        console.error('Delete message error:', error);
-        socket.emit('message_error', { error: 'Failed to delete message' });
+        emitSocketError(socket, error, 'Delete message error:', 'Failed to delete message');
       }
     });
 
     /**
-     * REQUEST SENT EVENT (for real-time chat request notifications)
-     * Client sends: { receiverId, request }
+     * SYNC EVENT
+     * Client sends: { conversations: [{ conversationId, lastMessageId?, since? }] }
+     * Server replies with sync_result containing, per conversation, new messages
+     * after the given point and older messages edited/deleted since then
      */
-    socket.on('request_sent', (data) => {
+    socket.on('sync', async (data) => {
       try {
-        const { receiverId, request } = data;
-        const receiverSocketId = connectedUsers.get(receiverId);
+        const entries = Array.isArray(data?.conversations) ? data.conversations : [];
 
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('request_received', {
-            request,
+        if (entries.length === 0 || entries.length > SYNC_MAX_CONVERSATIONS) {
+          socket.emit('message_error', {
+            error: `Sync requires between 1 and ${SYNC_MAX_CONVERSATIONS} conversations`,
           });
+          return;
         }
+
+        const syncedAt = new Date();
+        const conversations = [];
+
+        for (const entry of entries) {
+          conversations.push(await syncConversation(entry, userId));
+        }
+
+        socket.emit('sync_result', {
+          conversations,
+          syncedAt,
+        });
       } catch (error) {
-        console.error('Request sent error:', error);
+        console.error('Sync error:', error);
+        socket.emit('message_error', { error: 'Failed to sync messages' });
       }
     });
 
     /**
-     * REQUEST ACCEPTED EVENT
-     * Client sends: { senderId }
+     * EDIT MESSAGE EVENT
+     * Client sends: { messageId, content }
      */
-    socket.on('request_accepted', (data) => {
+    socket.on('edit_message', async (data) => {
       try {
-        const { senderId, conversation } = data;
-        const senderSocketId = connectedUsers.get(senderId);
+        const { messageId } = data;
+        const content = typeof data.content === 'string' ? data.content.trim() : '';
 
-        if (senderSocketId) {
-          io.to(senderSocketId).emit('request_accepted_notification', {
-            conversation,
-            acceptedBy: userId,
-          });
+        if (!messageId || !content) {
+          socket.emit('message_error', { error: 'Missing required fields' });
+          return;
+        }
+
+        const { message, conversation } = await authorizeMessage(userId, messageId, {
+          write: true,
+        });
+
+        const editError = message.getEditError(userId, content);
+
+        if (editError) {
+          socket.emit('message_error', { error: editError.message });
+          return;
         }
+
+        message.applyEdit(content);
+        await message.save();
+
+        const messageFor = await createMessageViews(message);
+
+        // Notify the other participant(s)
+        conversation.getOtherParticipants(userId).forEach((recipientId) => {
+          emitToUsers(recipientId, 'message_edited', {
+            message: messageFor(recipientId),
+            conversationId: message.conversationId,
+          });
+        });
+
+        // Confirm to sender
+        socket.emit('message_edited', {
+          message: messageFor(userId),
+          conversationId: message.conversationId,
+        });
       } catch (error) {
-        console.error('Request accepted error:', error);
+        emitSocketError(socket, error, 'Edit message error:', 'Failed to edit message');
       }
     });
 
     /**
-     * DISCONNECT EVENT
+     * Shared handler for add_reaction / remove_reaction
      */
-    socket.on('disconnect', async () => {
-      console.log(`❌ User disconnected: ${userId}`);
+    const handleReaction = async (data, action) => {
+      const { messageId, emoji } = data;
 
-      // Remove from connected users
-      connectedUsers.delete(userId);
+      if (!messageId || !isEmoji(emoji)) {
+        socket.emit('message_error', { error: 'A message ID and valid emoji are required' });
+        return;
+      }
 
-      // Update user status to offline
-      await User.findByIdAndUpdate(userId, {
-        isOnline: false,
-        lastSeen: new Date(),
-        socketId: null,
+      const { message, conversation } = await authorizeMessage(userId, messageId, {
+        write: true,
       });
 
-      // Notify all users that this user is offline
-      socket.broadcast.emit('user_offline', {
+      if (message.isDeleted) {
+        socket.emit('message_error', { error: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+        return;
+      }
+
+      const updatedMessage =
+        action === 'added'
+          ? await Message.addReaction(messageId, userId, emoji)
+          : await Message.removeReaction(messageId, userId, emoji);
+
+      if (!updatedMessage) {
+        socket.emit('message_error', { error: 'Message not found' });
+        return;
+      }
+
+      // Everyone in the conversation (including the reactor) gets the new totals
+      emitToUsers(conversation.participants, 'reaction_updated', {
+        messageId,
+        conversationId: message.conversationId,
         userId,
-        isOnline: false,
-        lastSeen: new Date(),
+        emoji,
+        action,
+        reactions: updatedMessage.getReactionSummary(),
       });
+    };
+
+    /**
+     * ADD REACTION EVENT
+     * Client sends: { messageId, emoji }
+     */
+    socket.on('add_reaction', async (data) => {
+      try {
+        await handleReaction(data, 'added');
+      } catch (error) {
+        emitSocketError(socket, error, 'Add reaction error:', 'Failed to add reaction');
+      }
+    });
+
+    /**
+     * REMOVE REACTION EVENT
+     * Client sends: { messageId, emoji }
+     */
+    socket.on('remove_reaction', async (data) => {
+      try {
+        await handleReaction(data, 'removed');
+      } catch (error) {
+        emitSocketError(socket, error, 'Remove reaction error:', 'Failed to remove reaction');
+      }
+    });
+
+    /**
+     * SUBSCRIBE PRESENCE EVENT
+     * Client sends: { userIds } - follow these users' presence on this socket
+     * (replaces the previous list; an empty list unsubscribes). Contacts and
+     * conversation partners are followed without subscribing.
+     * Replies with presence_snapshot.
+     */
+    socket.on('subscribe_presence', async (data) => {
+      try {
+        const userIds = Array.isArray(data?.userIds)
+          ? [...new Set(data.userIds.map((id) => String(id)))]
+          : null;
+
+        if (
+          !userIds ||
+          userIds.length > PRESENCE_MAX_USERS ||
+          !userIds.every((id) => mongoose.isValidObjectId(id))
+        ) {
+          socket.emit('message_error', {
+            error: `userIds must be a list of at most ${PRESENCE_MAX_USERS} user IDs`,
+          });
+          return;
+        }
+
+        const hiddenFrom = await User.getBlockRelations(userId);
+        const allowed = userIds.filter((id) => id !== userId && !hiddenFrom.includes(id));
+
+        (socket.presenceSubscriptions || []).forEach((id) => socket.leave(presenceRoom(id)));
+        allowed.forEach((id) => socket.join(presenceRoom(id)));
+        socket.presenceSubscriptions = allowed;
+
+        socket.emit('presence_snapshot', {
+          users: await getPresenceSnapshot(userId, allowed),
+        });
+      } catch (error) {
+        emitSocketError(socket, error, 'Subscribe presence error:', 'Failed to subscribe to presence');
+      }
+    });
+
+    /**
+     * DISCONNECT EVENT
+     */
+    socket.on('disconnect', async () => {
+      console.log(`❌ User disconnected: ${userId} (Socket: ${socket.id})`);
+
+      try {
+        // Other devices still connected - user stays online
+        const isLastConnection = await presence.removeSocket(userId, socket.id);
+
+        if (!isLastConnection) {
+          return;
+        }
+
+        const lastSeen = new Date();
+
+        // Update user status to offline
+        await User.findByIdAndUpdate(userId, {
+          isOnline: false,
+          lastSeen,
+        });
+
+        // A device may have reconnected while we were writing - restore
+        // the online flag and skip the offline notification
+        if (await isUserOnline(userId)) {
+          await User.findByIdAndUpdate(userId, { isOnline: true });
+          return;
+        }
+
+        // Notify the users who follow this user's presence
+        await broadcastPresence(userId, 'user_offline', {
+          userId,
+          isOnline: false,
+          lastSeen,
+        });
+      } catch (error) {
+        console.error('Disconnect error:', error);
+      }
     });
   });
 
   console.log('🚀 Socket.IO initialized');
 };
 
-module.exports = { initializeSocket, connectedUsers };
+module.exports = {
+  initializeSocket,
+  isUserOnline,
+  getOnlineUserIds,
+  getIO,
+  emitToUsers,
+  disconnectSessions,
+  createMessageViews,
+  markDelivered,
+  markConversationRead,
+  refreshUnreadCount,
+  refreshUnreadAfterDelete,
+  getPresenceSnapshot,
+};
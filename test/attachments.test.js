@@ -0,0 +1,117 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeMediaTools } = require('./helpers/fakeMediaTools');
+
+// Media binaries and storage must be configured before the modules load
+const tools = createFakeMediaTools({
+  format: { duration: '5.0' },
+  streams: [
+    { codec_type: 'video', codec_name: 'h264', width: 320, height: 240 },
+    { codec_type: 'audio', codec_name: 'aac' },
+  ],
+});
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-spark-storage-'));
+
+process.env.FFPROBE_PATH = tools.ffprobePath;
+process.env.FFMPEG_PATH = tools.ffmpegPath;
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../utils/storage');
+const { storeAttachment } = require('../utils/attachments');
+
+// Every file left in storage, relative to its root
+const listStoredFiles = (dir = storageDir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listStoredFiles(entryPath) : [path.relative(storageDir, entryPath)];
+  });
+
+describe('storeAttachment', () => {
+  let uploadPath;
+
+  before(() => {
+    uploadPath = path.join(tools.dir, 'upload.mp4');
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.mkdirSync(storageDir);
+  });
+
+  after(() => {
+    fs.rmSync(tools.dir, { recursive: true, force: true });
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  const videoUpload = () => {
+    fs.writeFileSync(uploadPath, 'not really a video');
+    return { path: uploadPath, mimetype: 'video/mp4', size: 18, originalname: 'clip.mp4' };
+  };
+
+  it('stores a video with its poster and preview', async () => {
+    mock.method(Attachment, 'create', async (fields) => fields);
+
+    const attachment = await storeAttachment(videoUpload(), new mongoose.Types.ObjectId());
+
+    assert.equal(attachment.kind, 'video');
+    assert.equal(attachment.duration, 5);
+    assert.ok(attachment.posterKey && attachment.previewKey);
+    assert.equal(listStoredFiles().length, 3);
+  });
+
+  it('removes the file and renditions when the attachment cannot be saved', async () => {
+    mock.method(Attachment, 'create', async () => {
+      throw new Error('database unavailable');
+    });
+
+    await assert.rejects(
+      storeAttachment(videoUpload(), new mongoose.Types.ObjectId()),
+      /database unavailable/
+    );
+    assert.deepEqual(listStoredFiles(), []);
+  });
+
+  it('removes the renditions when the original cannot be stored', async () => {
+    const storage = getStorage();
+    const upload = storage.upload.bind(storage);
+
+    mock.method(storage, 'upload', async (filePath, options) => {
+      if (filePath === uploadPath) {
+        throw new Error('storage unavailable');
+      }
+      return upload(filePath, options);
+    });
+
+    await assert.rejects(
+      storeAttachment(videoUpload(), new mongoose.Types.ObjectId()),
+      /storage unavailable/
+    );
+    assert.deepEqual(listStoredFiles(), []);
+  });
+
+  it('removes the poster when the preview cannot be stored', async () => {
+    const storage = getStorage();
+    const upload = storage.upload.bind(storage);
+
+    mock.method(storage, 'upload', async (filePath, options) => {
+      if (options.folder.endsWith('/previews')) {
+        throw new Error('storage unavailable');
+      }
+      return upload(filePath, options);
+    });
+
+    await assert.rejects(
+      storeAttachment(videoUpload(), new mongoose.Types.ObjectId()),
+      /storage unavailable/
+    );
+    assert.deepEqual(listStoredFiles(), []);
+  });
+});
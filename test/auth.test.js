@@ -0,0 +1,184 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-jwt-secret-that-is-long-enough-for-tests';
+
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { refresh, revokeSession } = require('../controllers/authController');
+const { protect } = require('../middlewares/auth');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  hashToken,
+  parseRefreshToken,
+  verifyToken,
+} = require('../utils/token');
+const { createRequest, createResponse } = require('./helpers/http');
+const { fakeQuery } = require('./helpers/query');
+
+describe('refresh tokens', () => {
+  it('only stores a hash of the secret and carries the session ID', () => {
+    const sessionId = new mongoose.Types.ObjectId().toString();
+    const { token, hash } = generateRefreshToken(sessionId);
+    const parsed = parseRefreshToken(token);
+
+    assert.equal(parsed.sessionId, sessionId);
+    assert.equal(hashToken(parsed.secret), hash);
+    assert.ok(!token.includes(hash));
+  });
+
+  it('rejects malformed tokens', () => {
+    assert.equal(parseRefreshToken(undefined), null);
+    assert.equal(parseRefreshToken('no-dot'), null);
+    assert.equal(parseRefreshToken('not-an-id.secret'), null);
+    assert.equal(parseRefreshToken(`${new mongoose.Types.ObjectId()}.`), null);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  let session;
+  let current;
+
+  beforeEach(() => {
+    session = new Session({
+      user: new mongoose.Types.ObjectId(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    current = generateRefreshToken(session._id.toString());
+    session.refreshTokenHash = current.hash;
+
+    mock.method(Session, 'findById', () => fakeQuery(session));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('rotates the refresh token and issues an access token for the session', async () => {
+    const update = mock.method(Session, 'findOneAndUpdate', async () => session);
+    const res = createResponse();
+
+    await refresh(createRequest({ body: { refreshToken: current.token } }), res);
+
+    assert.equal(res.statusCode, 200);
+    const { token, refreshToken } = res.body.data;
+    assert.notEqual(refreshToken, current.token);
+
+    // Only swapped if the presented token is still the current one
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.equal(filter.refreshTokenHash, current.hash);
+    assert.equal(changes.refreshTokenHash, hashToken(parseRefreshToken(refreshToken).secret));
+
+    assert.equal(verifyToken(token).sid, session._id.toString());
+  });
+
+  it('revokes the whole session when an old refresh token is replayed', async () => {
+    const revoke = mock.method(Session, 'revokeMany', async () => [session._id]);
+    const update = mock.method(Session, 'findOneAndUpdate', async () => session);
+    const stale = `${session._id}.${'a'.repeat(96)}`;
+    const res = createResponse();
+
+    await refresh(createRequest({ body: { refreshToken: stale } }), res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(update.mock.callCount(), 0);
+    assert.deepEqual(revoke.mock.calls[0].arguments, [
+      { _id: session._id },
+      'refresh_token_reuse',
+    ]);
+  });
+
+  it('refuses revoked and expired sessions', async () => {
+    const update = mock.method(Session, 'findOneAndUpdate', async () => session);
+
+    session.revokedAt = new Date();
+    const revokedRes = createResponse();
+    await refresh(createRequest({ body: { refreshToken: current.token } }), revokedRes);
+
+    session.revokedAt = null;
+    session.expiresAt = new Date(Date.now() - 1000);
+    const expiredRes = createResponse();
+    await refresh(createRequest({ body: { refreshToken: current.token } }), expiredRes);
+
+    assert.equal(revokedRes.statusCode, 401);
+    assert.equal(expiredRes.statusCode, 401);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('refuses a token that lost a race with a concurrent refresh', async () => {
+    mock.method(Session, 'findOneAndUpdate', async () => null);
+    const res = createResponse();
+
+    await refresh(createRequest({ body: { refreshToken: current.token } }), res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.data, undefined);
+  });
+});
+
+describe('protect middleware', () => {
+  const user = new User({ username: 'alice', email: 'alice@example.com', password: 'secret1' });
+  let session;
+
+  beforeEach(() => {
+    session = new Session({
+      user: user._id,
+      refreshTokenHash: 'hash',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    mock.method(Session, 'findById', async () => session);
+    mock.method(User, 'findById', () => fakeQuery(user));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const callProtect = async () => {
+    const token = generateAccessToken(user._id.toString(), session._id.toString());
+    const req = createRequest({ headers: { authorization: `Bearer ${token}` } });
+    const res = createResponse();
+    const next = mock.fn();
+
+    await protect(req, res, next);
+    return { req, res, next };
+  };
+
+  it('lets requests through while the session is active', async () => {
+    const { req, next } = await callProtect();
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(req.session, session);
+  });
+
+  it('rejects access tokens of a revoked session before they expire', async () => {
+    session.revokedAt = new Date();
+    const { res, next } = await callProtect();
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  it('rejects a session that belongs to another user', async () => {
+    session.user = new mongoose.Types.ObjectId();
+    const { res, next } = await callProtect();
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(next.mock.callCount(), 0);
+  });
+});
+
+describe('DELETE /api/auth/sessions/:sessionId', () => {
+  afterEach(() => mock.restoreAll());
+
+  it("only revokes the caller's own sessions", async () => {
+    const revoke = mock.method(Session, 'revokeMany', async () => []);
+    const userId = new mongoose.Types.ObjectId();
+    const sessionId = new mongoose.Types.ObjectId().toString();
+    const res = createResponse();
+
+    await revokeSession(createRequest({ params: { sessionId }, user: { _id: userId } }), res);
+
+    assert.deepEqual(revoke.mock.calls[0].arguments[0], { _id: sessionId, user: userId });
+    assert.equal(res.statusCode, 404);
+  });
+});
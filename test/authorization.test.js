@@ -0,0 +1,202 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const ChatRequest = require('../models/ChatRequest');
+const User = require('../models/User');
+const {
+  authorizeDirectMessage,
+  authorizeConversation,
+  authorizeMessage,
+  authorizeGroupInvitees,
+} = require('../utils/authorization');
+const { fakeQuery } = require('./helpers/query');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+// Assert that a promise rejects with the given AuthorizationError code
+const rejectsWith = (promise, code) =>
+  assert.rejects(promise, (error) => {
+    assert.equal(error.name, 'AuthorizationError');
+    assert.equal(error.code, code);
+    return true;
+  });
+
+describe('authorizeDirectMessage', () => {
+  const sender = newId();
+  const receiver = newId();
+
+  beforeEach(() => {
+    mock.method(User, 'exists', async () => ({ _id: receiver }));
+    mock.method(User, 'isBlockedBetween', async () => false);
+    mock.method(ChatRequest, 'exists', async () => ({ _id: newId() }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('allows contacts who are not blocked', async () => {
+    await authorizeDirectMessage(sender, receiver);
+  });
+
+  it('refuses messaging yourself or an invalid ID', async () => {
+    await rejectsWith(authorizeDirectMessage(sender, sender), 'USER_NOT_FOUND');
+    await rejectsWith(authorizeDirectMessage(sender, 'not-an-id'), 'USER_NOT_FOUND');
+  });
+
+  it('refuses users who do not exist', async () => {
+    mock.method(User, 'exists', async () => null);
+    await rejectsWith(authorizeDirectMessage(sender, receiver), 'USER_NOT_FOUND');
+  });
+
+  it('refuses a block in either direction before looking at requests', async () => {
+    mock.method(User, 'isBlockedBetween', async () => true);
+    await rejectsWith(authorizeDirectMessage(sender, receiver), 'USER_BLOCKED');
+  });
+
+  it('requires an accepted chat request', async () => {
+    const exists = mock.method(ChatRequest, 'exists', async () => null);
+
+    await rejectsWith(authorizeDirectMessage(sender, receiver), 'CHAT_REQUEST_NOT_ACCEPTED');
+    assert.equal(exists.mock.calls[0].arguments[0].status, 'accepted');
+  });
+});
+
+describe('authorizeConversation', () => {
+  const alice = newId();
+  const bob = newId();
+  let conversation;
+
+  beforeEach(() => {
+    conversation = new Conversation({ type: 'direct', participants: [alice, bob] });
+
+    mock.method(Conversation, 'findById', async () => conversation);
+    mock.method(User, 'isBlockedBetween', async () => false);
+    mock.method(ChatRequest, 'exists', async () => ({ _id: newId() }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('returns the conversation to its participants', async () => {
+    assert.equal(await authorizeConversation(alice, conversation._id), conversation);
+  });
+
+  it('refuses unknown conversations and outsiders', async () => {
+    await rejectsWith(authorizeConversation(alice, 'not-an-id'), 'CONVERSATION_NOT_FOUND');
+    await rejectsWith(authorizeConversation(newId(), conversation._id), 'NOT_A_PARTICIPANT');
+
+    mock.method(Conversation, 'findById', async () => null);
+    await rejectsWith(authorizeConversation(alice, newId()), 'CONVERSATION_NOT_FOUND');
+  });
+
+  it('still lets blocked participants read a direct chat', async () => {
+    mock.method(User, 'isBlockedBetween', async () => true);
+    assert.equal(await authorizeConversation(alice, conversation._id), conversation);
+  });
+
+  it('refuses writing to a direct chat after a block', async () => {
+    mock.method(User, 'isBlockedBetween', async () => true);
+    await rejectsWith(authorizeConversation(alice, conversation._id, { write: true }), 'USER_BLOCKED');
+  });
+
+  it('refuses writing to a direct chat without an accepted request', async () => {
+    mock.method(ChatRequest, 'exists', async () => null);
+    await rejectsWith(
+      authorizeConversation(alice, conversation._id, { write: true }),
+      'CHAT_REQUEST_NOT_ACCEPTED'
+    );
+  });
+
+  it('only requires membership to write to a group', async () => {
+    const isBlockedBetween = mock.method(User, 'isBlockedBetween', async () => true);
+    conversation = new Conversation({
+      type: 'group',
+      name: 'Team',
+      owner: alice,
+      participants: [alice, bob, newId()],
+    });
+
+    assert.equal(await authorizeConversation(bob, conversation._id, { write: true }), conversation);
+    assert.equal(isBlockedBetween.mock.callCount(), 0);
+  });
+});
+
+describe('authorizeMessage', () => {
+  const alice = newId();
+  const bob = newId();
+  let conversation;
+  let message;
+
+  beforeEach(() => {
+    conversation = new Conversation({ type: 'direct', participants: [alice, bob] });
+    message = new Message({ conversationId: conversation._id, sender: alice, content: 'hi' });
+
+    mock.method(Message, 'findById', async () => message);
+    mock.method(Conversation, 'findById', async () => conversation);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('returns the message with its conversation', async () => {
+    const result = await authorizeMessage(bob, message._id);
+
+    assert.equal(result.message, message);
+    assert.equal(result.conversation, conversation);
+  });
+
+  it("hides messages of other users' conversations as not found", async () => {
+    await rejectsWith(authorizeMessage(newId(), message._id), 'MESSAGE_NOT_FOUND');
+
+    mock.method(Conversation, 'findById', async () => null);
+    await rejectsWith(authorizeMessage(bob, message._id), 'MESSAGE_NOT_FOUND');
+  });
+
+  it('passes write errors through', async () => {
+    mock.method(User, 'isBlockedBetween', async () => true);
+    await rejectsWith(authorizeMessage(bob, message._id, { write: true }), 'USER_BLOCKED');
+  });
+});
+
+describe('authorizeGroupInvitees', () => {
+  const actor = newId();
+  const contact = newId();
+  const stranger = newId();
+
+  beforeEach(() => {
+    mock.method(User, 'countDocuments', async (filter) => filter._id.$in.length);
+    mock.method(User, 'getBlockRelations', async () => []);
+    mock.method(ChatRequest, 'find', () =>
+      fakeQuery([new ChatRequest({ sender: contact, receiver: actor, status: 'accepted' })])
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('allows adding contacts', async () => {
+    await authorizeGroupInvitees(actor, [contact]);
+  });
+
+  it('does nothing without invitees', async () => {
+    const countDocuments = mock.method(User, 'countDocuments', async () => 0);
+
+    await authorizeGroupInvitees(actor, []);
+    assert.equal(countDocuments.mock.callCount(), 0);
+  });
+
+  it('refuses users who do not exist', async () => {
+    mock.method(User, 'countDocuments', async () => 1);
+    await rejectsWith(authorizeGroupInvitees(actor, [contact, stranger]), 'USER_NOT_FOUND');
+  });
+
+  it('refuses contacts in a block with the actor', async () => {
+    mock.method(User, 'getBlockRelations', async () => [contact.toString()]);
+    await rejectsWith(authorizeGroupInvitees(actor, [contact]), 'USER_BLOCKED');
+  });
+
+  it('refuses users without an accepted request', async () => {
+    await rejectsWith(
+      authorizeGroupInvitees(actor, [contact, stranger]),
+      'CHAT_REQUEST_NOT_ACCEPTED'
+    );
+  });
+});
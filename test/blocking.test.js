@@ -0,0 +1,156 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const ChatRequest = require('../models/ChatRequest');
+const User = require('../models/User');
+const { blockUser } = require('../controllers/userController');
+const { sendChatRequest } = require('../controllers/requestController');
+const { muteConversation } = require('../controllers/conversationController');
+const { createRequest, createResponse } = require('./helpers/http');
+const { fakeQuery } = require('./helpers/query');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('User.getBlockRelations', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('includes users blocked in either direction once each', async () => {
+    const blocked = newId();
+    const blocker = newId();
+    const both = newId();
+
+    mock.method(User, 'findById', () => fakeQuery({ blockedUsers: [blocked, both] }));
+    mock.method(User, 'find', () => fakeQuery([blocker, both]));
+
+    const relations = await User.getBlockRelations(newId());
+
+    assert.deepEqual(relations.sort(), [blocked, blocker, both].map(String).sort());
+  });
+});
+
+describe('POST /api/users/:userId/block', () => {
+  const currentUserId = newId();
+
+  afterEach(() => mock.restoreAll());
+
+  const callBlock = async (userId) => {
+    const res = createResponse();
+    await blockUser(createRequest({ params: { userId }, user: { _id: currentUserId } }), res);
+    return res;
+  };
+
+  it('refuses blocking yourself', async () => {
+    const res = await callBlock(currentUserId.toString());
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('refuses unknown users', async () => {
+    mock.method(User, 'findById', async () => null);
+
+    const res = await callBlock(newId().toString());
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('blocks the user and rejects pending requests in both directions', async () => {
+    const target = newId();
+    mock.method(User, 'findById', async () => ({ _id: target }));
+    const update = mock.method(User, 'findByIdAndUpdate', async () => null);
+    const updateRequests = mock.method(ChatRequest, 'updateMany', async () => ({}));
+
+    const res = await callBlock(target.toString());
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(update.mock.calls[0].arguments, [
+      currentUserId,
+      { $addToSet: { blockedUsers: target.toString() } },
+    ]);
+
+    const [filter, changes] = updateRequests.mock.calls[0].arguments;
+    assert.equal(filter.status, 'pending');
+    assert.equal(filter.$or.length, 2);
+    assert.equal(changes.status, 'rejected');
+  });
+});
+
+describe('POST /api/requests/send', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses requests between blocked users without saying who blocked whom', async () => {
+    const receiverId = newId();
+    mock.method(User, 'findById', async () => ({ _id: receiverId }));
+    mock.method(User, 'isBlockedBetween', async () => true);
+    const findRequest = mock.method(ChatRequest, 'findOne', async () => null);
+    const res = createResponse();
+
+    await sendChatRequest(
+      createRequest({ body: { receiverId: receiverId.toString() }, user: { _id: newId() } }),
+      res
+    );
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.message, 'Cannot send request to this user');
+    assert.equal(findRequest.mock.callCount(), 0);
+  });
+});
+
+describe('conversation mute', () => {
+  const alice = newId();
+  const bob = newId();
+
+  afterEach(() => mock.restoreAll());
+
+  it('is per participant and ends at its expiry', () => {
+    const conversation = new Conversation({ type: 'direct', participants: [alice, bob] });
+
+    conversation.mutedUntil.set(alice.toString(), new Date(Date.now() + 60 * 1000));
+    assert.equal(conversation.isMutedFor(alice), true);
+    assert.equal(conversation.isMutedFor(bob), false);
+
+    conversation.mutedUntil.set(alice.toString(), new Date(Date.now() - 1000));
+    assert.equal(conversation.isMutedFor(alice), false);
+
+    conversation.mutedUntil.set(bob.toString(), null);
+    assert.equal(conversation.isMutedFor(bob), true);
+  });
+
+  it('refuses an end time in the past', async () => {
+    const conversation = new Conversation({ type: 'direct', participants: [alice, bob] });
+    mock.method(Conversation, 'findById', async () => conversation);
+    const save = mock.method(conversation, 'save', async () => conversation);
+    const res = createResponse();
+
+    await muteConversation(
+      createRequest({
+        params: { conversationId: conversation._id.toString() },
+        body: { until: new Date(Date.now() - 1000).toISOString() },
+        user: { _id: alice },
+      }),
+      res
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it('only mutes for the caller without touching updatedAt', async () => {
+    const conversation = new Conversation({ type: 'direct', participants: [alice, bob] });
+    mock.method(Conversation, 'findById', async () => conversation);
+    const save = mock.method(conversation, 'save', async () => conversation);
+    const res = createResponse();
+
+    await muteConversation(
+      createRequest({
+        params: { conversationId: conversation._id.toString() },
+        body: {},
+        user: { _id: alice },
+      }),
+      res
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(conversation.isMutedFor(alice), true);
+    assert.equal(conversation.isMutedFor(bob), false);
+    assert.deepEqual(save.mock.calls[0].arguments, [{ timestamps: false }]);
+  });
+});
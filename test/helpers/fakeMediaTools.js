@@ -0,0 +1,37 @@
+/**
+ * Fake ffprobe / ffmpeg
+ * Writes small Node scripts standing in for the media binaries, so media
+ * handling can be tested on machines without ffmpeg installed.
+ * - ffprobe prints the given probe result as JSON
+ * - ffmpeg writes a placeholder file at its output path (the last argument)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create the fake binaries in a temporary directory
+ * @param {Object} probe - ffprobe output ({ format, streams })
+ * @returns {Object} { dir, ffprobePath, ffmpegPath }
+ */
+const createFakeMediaTools = (probe) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-spark-media-'));
+  const ffprobePath = path.join(dir, 'ffprobe');
+  const ffmpegPath = path.join(dir, 'ffmpeg');
+
+  fs.writeFileSync(
+    ffprobePath,
+    `#!/usr/bin/env node\nprocess.stdout.write(${JSON.stringify(JSON.stringify(probe))});\n`
+  );
+  fs.writeFileSync(
+    ffmpegPath,
+    "#!/usr/bin/env node\nrequire('fs').writeFileSync(process.argv[process.argv.length - 1], 'media');\n"
+  );
+  fs.chmodSync(ffprobePath, 0o755);
+  fs.chmodSync(ffmpegPath, 0o755);
+
+  return { dir, ffprobePath, ffmpegPath };
+};
+
+module.exports = { createFakeMediaTools };
@@ -0,0 +1,124 @@
+/**
+ * Fake Redis Client
+ * In-memory stand-in for the ioredis commands the Redis presence store uses:
+ * zadd, zrem, zcount, zremrangebyscore, pexpire and multi().exec().
+ * Several stores can share one client to act as separate server instances.
+ */
+
+const parseScore = (value) => {
+  if (value === '-inf') {
+    return -Infinity;
+  }
+  if (value === '+inf') {
+    return Infinity;
+  }
+  return Number(value);
+};
+
+const createFakeRedis = () => {
+  // key -> { members: Map(member -> score), expiresAt }
+  const keys = new Map();
+
+  // Drop a key once its pexpire has run out, like Redis does
+  const getSet = (key) => {
+    const entry = keys.get(key);
+
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return null;
+    }
+
+    return entry ? entry.members : null;
+  };
+
+  const commands = {
+    zadd(key, score, member) {
+      let members = getSet(key);
+
+      if (!members) {
+        members = new Map();
+        keys.set(key, { members, expiresAt: null });
+      }
+
+      const added = members.has(member) ? 0 : 1;
+      members.set(member, Number(score));
+      return added;
+    },
+
+    zrem(key, member) {
+      const members = getSet(key);
+      return members && members.delete(member) ? 1 : 0;
+    },
+
+    zcount(key, min, max) {
+      const members = getSet(key);
+
+      if (!members) {
+        return 0;
+      }
+
+      const low = parseScore(min);
+      const high = parseScore(max);
+      return [...members.values()].filter((score) => score >= low && score <= high).length;
+    },
+
+    zremrangebyscore(key, min, max) {
+      const members = getSet(key);
+
+      if (!members) {
+        return 0;
+      }
+
+      const low = parseScore(min);
+      const high = parseScore(max);
+      let removed = 0;
+
+      members.forEach((score, member) => {
+        if (score >= low && score <= high) {
+          members.delete(member);
+          removed += 1;
+        }
+      });
+
+      return removed;
+    },
+
+    pexpire(key, ttlMs) {
+      if (!getSet(key)) {
+        return 0;
+      }
+
+      keys.get(key).expiresAt = Date.now() + Number(ttlMs);
+      return 1;
+    },
+  };
+
+  const client = {};
+
+  Object.entries(commands).forEach(([name, command]) => {
+    client[name] = async (...args) => command(...args);
+  });
+
+  // Queue commands and run them together, replying like ioredis: [[error, result], ...]
+  client.multi = () => {
+    const queued = [];
+    const multi = {
+      async exec() {
+        return queued.map(([name, args]) => [null, commands[name](...args)]);
+      },
+    };
+
+    Object.keys(commands).forEach((name) => {
+      multi[name] = (...args) => {
+        queued.push([name, args]);
+        return multi;
+      };
+    });
+
+    return multi;
+  };
+
+  return client;
+};
+
+module.exports = { createFakeRedis };
@@ -0,0 +1,49 @@
+/**
+ * Express Test Doubles
+ * Minimal request/response objects for calling controllers and middleware
+ * directly, without starting the server.
+ */
+
+/**
+ * Create a response that records what the handler sent
+ * @returns {Object} Response with statusCode, body and headers filled in once sent
+ */
+const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = String(value);
+      return res;
+    },
+  };
+
+  return res;
+};
+
+/**
+ * Create a request
+ * @param {Object} fields - body, params, query, headers, user, ...
+ */
+const createRequest = (fields = {}) => ({
+  body: {},
+  params: {},
+  query: {},
+  headers: {},
+  ip: '127.0.0.1',
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  },
+  ...fields,
+});
+
+module.exports = { createResponse, createRequest };
@@ -0,0 +1,28 @@
+/**
+ * Fake Mongoose Queries
+ * Stand-ins for query objects returned by model statics (find, findById, ...),
+ * so controllers can be tested with mocked models and no database.
+ */
+
+const CHAIN_METHODS = ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'distinct'];
+
+/**
+ * Create a query that resolves to a fixed result, whatever is chained onto it
+ * @param {*} result - What awaiting the query returns
+ * @returns {Object} Thenable query
+ */
+const fakeQuery = (result) => {
+  const query = {
+    then(resolve, reject) {
+      return Promise.resolve(result).then(resolve, reject);
+    },
+  };
+
+  CHAIN_METHODS.forEach((method) => {
+    query[method] = () => query;
+  });
+
+  return query;
+};
+
+module.exports = { fakeQuery };
@@ -0,0 +1,131 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-spark-storage-'));
+
+// The /files route uses the storage configured here
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = rootDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+
+const { createLocalStorage } = require('../utils/storage/localStorage');
+const { getStorage } = require('../utils/storage');
+const { serveFile } = require('../controllers/fileController');
+const { createRequest, createResponse } = require('./helpers/http');
+
+// Split a signed URL into the parts the /files route receives
+const parseUrl = (url) => {
+  const { pathname, searchParams } = new URL(url);
+
+  return {
+    key: decodeURIComponent(pathname.replace(/^\/files\//, '')),
+    expires: searchParams.get('expires'),
+    signature: searchParams.get('signature'),
+  };
+};
+
+describe('local storage driver', () => {
+  let sourcePath;
+  const storage = createLocalStorage({
+    rootDir,
+    baseUrl: 'http://localhost:5000',
+    secret: 'test-signing-secret',
+  });
+
+  before(() => {
+    sourcePath = path.join(rootDir, 'source.html');
+    fs.writeFileSync(sourcePath, '<script>alert(1)</script>');
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  after(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('names stored files after the validated type, not the uploaded name', async () => {
+    const result = await storage.upload(sourcePath, {
+      folder: 'chat-spark/files',
+      mimeType: 'application/pdf',
+    });
+
+    assert.match(result.key, /^chat-spark\/files\/[0-9a-f-]{36}\.pdf$/);
+    assert.equal(result.format, 'pdf');
+    assert.equal(result.size, fs.statSync(sourcePath).size);
+    assert.ok(fs.existsSync(path.join(rootDir, result.key)));
+  });
+
+  it('only accepts URLs it signed for that file', async () => {
+    const { key } = await storage.upload(sourcePath, { folder: 'chat-spark', mimeType: 'image/png' });
+    const url = parseUrl(storage.getUrl(key));
+
+    assert.equal(url.key, key);
+    assert.equal(storage.verifyUrl(url.key, url.expires, url.signature), true);
+    assert.equal(storage.verifyUrl(url.key, url.expires, url.signature.replace(/.$/, '0')), false);
+    assert.equal(storage.verifyUrl(url.key, url.expires, undefined), false);
+    assert.equal(storage.verifyUrl('chat-spark/other.png', url.expires, url.signature), false);
+    assert.equal(storage.verifyUrl(url.key, '9999999999', url.signature), false);
+  });
+
+  it('rejects URLs once they expire', () => {
+    const expiring = createLocalStorage({
+      rootDir,
+      baseUrl: 'http://localhost:5000',
+      secret: 'test-signing-secret',
+      urlTtlSeconds: 60,
+    });
+    const url = parseUrl(expiring.getUrl('chat-spark/file.png'));
+
+    assert.equal(expiring.verifyUrl(url.key, url.expires, url.signature), true);
+
+    const later = Date.now() + 61 * 1000;
+    mock.method(Date, 'now', () => later);
+    assert.equal(expiring.verifyUrl(url.key, url.expires, url.signature), false);
+  });
+
+  it('refuses keys outside the storage directory', async () => {
+    assert.equal(storage.resolvePath('../outside.txt'), null);
+    assert.equal(storage.resolvePath('chat-spark/../../outside.txt'), null);
+    assert.equal(storage.resolvePath(''), null);
+
+    await assert.rejects(storage.createReadStream('../outside.txt'), /Invalid storage key/);
+    await assert.rejects(
+      storage.upload(sourcePath, { folder: '../outside', mimeType: 'image/png' }),
+      /Invalid storage folder/
+    );
+  });
+
+  it('removes stored files and ignores missing ones', async () => {
+    const { key } = await storage.upload(sourcePath, { folder: 'chat-spark', mimeType: 'image/png' });
+
+    await storage.remove(key);
+    assert.equal(fs.existsSync(path.join(rootDir, key)), false);
+
+    await storage.remove(key);
+    await storage.remove('../outside.txt');
+  });
+});
+
+describe('GET /files/:key', () => {
+  const callServeFile = (key, query) => {
+    const res = createResponse();
+    serveFile(createRequest({ params: { 0: key }, query }), res);
+    return res;
+  };
+
+  it('refuses unsigned and tampered links', () => {
+    const url = parseUrl(getStorage().getUrl('chat-spark/file.png'));
+
+    assert.equal(callServeFile(url.key, {}).statusCode, 403);
+    assert.equal(callServeFile('chat-spark/other.png', url).statusCode, 403);
+  });
+
+  it('does not serve signed keys outside the storage directory', () => {
+    const url = parseUrl(getStorage().getUrl('../outside.txt'));
+
+    assert.equal(callServeFile('../outside.txt', url).statusCode, 404);
+  });
+});
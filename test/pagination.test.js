@@ -0,0 +1,105 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const {
+  MAX_PAGE_SIZE,
+  parseLimit,
+  resolveCursor,
+  buildCursorFilter,
+  cursorSort,
+} = require('../utils/pagination');
+const { fakeQuery } = require('./helpers/query');
+
+// Order two createdAt or _id values
+const compare = (a, b) => (a instanceof Date ? a - b : a.toString().localeCompare(b.toString()));
+
+// Whether a document matches a filter built by buildCursorFilter
+const matches = (doc, filter) => {
+  if (filter.$or) {
+    return filter.$or.some((branch) => matches(doc, branch));
+  }
+
+  return Object.entries(filter).every(([field, condition]) => {
+    if (condition.$lt !== undefined) {
+      return compare(doc[field], condition.$lt) < 0;
+    }
+    if (condition.$gt !== undefined) {
+      return compare(doc[field], condition.$gt) > 0;
+    }
+    return compare(doc[field], condition) === 0;
+  });
+};
+
+describe('parseLimit', () => {
+  it('falls back to the default and keeps limits between 1 and the maximum', () => {
+    assert.equal(parseLimit(undefined), 50);
+    assert.equal(parseLimit('abc', 20), 20);
+    assert.equal(parseLimit('-5'), 1);
+    assert.equal(parseLimit('100000'), MAX_PAGE_SIZE);
+  });
+});
+
+describe('resolveCursor', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('resolves message IDs within the given scope only', async () => {
+    const message = { _id: new mongoose.Types.ObjectId(), createdAt: new Date() };
+    const findOne = mock.method(Message, 'findOne', () => fakeQuery(message));
+    const scope = { conversationId: new mongoose.Types.ObjectId() };
+
+    const position = await resolveCursor(message._id.toString(), Message, scope);
+
+    assert.deepEqual(position, { createdAt: message.createdAt, _id: message._id });
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: message._id.toString(), ...scope });
+  });
+
+  it('treats messages outside the scope as invalid cursors', async () => {
+    mock.method(Message, 'findOne', () => fakeQuery(null));
+
+    assert.equal(await resolveCursor(new mongoose.Types.ObjectId().toString(), Message), null);
+  });
+
+  it('accepts timestamps in milliseconds or ISO format', async () => {
+    const date = new Date('2026-01-02T03:04:05.000Z');
+
+    assert.deepEqual(await resolveCursor(String(date.getTime()), Message), { createdAt: date });
+    assert.deepEqual(await resolveCursor(date.toISOString(), Message), { createdAt: date });
+    assert.equal(await resolveCursor('not-a-date', Message), null);
+    assert.equal(await resolveCursor('', Message), null);
+  });
+});
+
+describe('buildCursorFilter', () => {
+  // Three messages sent in the same millisecond, then one later
+  const createdAt = new Date('2026-01-02T03:04:05.000Z');
+  const messages = [
+    { _id: new mongoose.Types.ObjectId('000000000000000000000001'), createdAt },
+    { _id: new mongoose.Types.ObjectId('000000000000000000000002'), createdAt },
+    { _id: new mongoose.Types.ObjectId('000000000000000000000003'), createdAt },
+    {
+      _id: new mongoose.Types.ObjectId('000000000000000000000004'),
+      createdAt: new Date(createdAt.getTime() + 1),
+    },
+  ];
+
+  it('breaks createdAt ties by _id so no message is skipped or repeated', () => {
+    const position = { createdAt, _id: messages[1]._id };
+
+    const before = messages.filter((doc) => matches(doc, buildCursorFilter(position, 'before')));
+    const after = messages.filter((doc) => matches(doc, buildCursorFilter(position, 'after')));
+
+    assert.deepEqual(before, [messages[0]]);
+    assert.deepEqual(after, [messages[2], messages[3]]);
+  });
+
+  it('compares timestamp cursors by createdAt only', () => {
+    assert.deepEqual(buildCursorFilter({ createdAt }, 'before'), { createdAt: { $lt: createdAt } });
+    assert.deepEqual(buildCursorFilter({ createdAt }, 'after'), { createdAt: { $gt: createdAt } });
+  });
+
+  it('sorts away from the cursor', () => {
+    assert.deepEqual(cursorSort('before'), { createdAt: -1, _id: -1 });
+    assert.deepEqual(cursorSort('after'), { createdAt: 1, _id: 1 });
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ChatRequest = require('../models/ChatRequest');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const {
+  applyPrivacy,
+  createPrivacyFilter,
+  createAudienceFilter,
+  PUBLIC_VIEW,
+  CONTACT_VIEW,
+} = require('../utils/privacy');
+const { fakeQuery } = require('./helpers/query');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const createUser = (privacy = {}) =>
+  new User({
+    username: 'alice',
+    email: 'alice@example.com',
+    password: 'secret1',
+    profilePicture: 'https://example.com/alice.png',
+    isOnline: true,
+    lastSeen: new Date(),
+    privacy,
+  });
+
+describe('applyPrivacy', () => {
+  it('shows everything to the user themselves', () => {
+    const user = createUser({ email: 'nobody', profilePicture: 'nobody' });
+    const shown = applyPrivacy(user, { isSelf: true });
+
+    assert.equal(shown.email, 'alice@example.com');
+    assert.equal(shown.profilePicture, 'https://example.com/alice.png');
+    assert.equal(shown.privacy, undefined);
+  });
+
+  it('falls back to the defaults: email for contacts, the rest for everyone', () => {
+    const user = createUser();
+
+    const publicView = applyPrivacy(user, PUBLIC_VIEW);
+    assert.equal(publicView.email, undefined);
+    assert.equal(publicView.profilePicture, 'https://example.com/alice.png');
+    assert.equal(publicView.isOnline, true);
+
+    assert.equal(applyPrivacy(user, CONTACT_VIEW).email, 'alice@example.com');
+  });
+
+  it('limits contacts-only fields to contacts and hides nobody fields from everyone', () => {
+    const user = createUser({ profilePicture: 'contacts', lastSeen: 'nobody' });
+
+    const publicView = applyPrivacy(user, PUBLIC_VIEW);
+    const contactView = applyPrivacy(user, CONTACT_VIEW);
+
+    assert.equal(publicView.profilePicture, '');
+    assert.equal(contactView.profilePicture, 'https://example.com/alice.png');
+    assert.equal(publicView.lastSeen, undefined);
+    assert.equal(contactView.lastSeen, undefined);
+  });
+
+  it('hides presence across a block whatever the settings', () => {
+    const shown = applyPrivacy(createUser(), { ...CONTACT_VIEW, isBlocked: true });
+
+    assert.equal(shown.isOnline, undefined);
+    assert.equal(shown.lastSeen, undefined);
+    assert.equal(shown.profilePicture, 'https://example.com/alice.png');
+  });
+
+  it('never adds fields the query did not select', () => {
+    const shown = applyPrivacy({ _id: newId(), username: 'alice', privacy: {} }, PUBLIC_VIEW);
+
+    assert.deepEqual(Object.keys(shown).sort(), ['_id', 'username']);
+  });
+});
+
+describe('privacy filters', () => {
+  const viewer = newId();
+  const contact = createUser({ profilePicture: 'contacts' });
+  const stranger = createUser({ profilePicture: 'contacts' });
+  const blocked = createUser();
+
+  beforeEach(() => {
+    // The viewer's (and, for the audience filter, the contact's) side of the relation
+    mock.method(ChatRequest, 'find', () =>
+      fakeQuery([new ChatRequest({ sender: viewer, receiver: contact._id, status: 'accepted' })])
+    );
+    mock.method(User, 'getBlockRelations', async (userId) =>
+      userId.toString() === viewer.toString() ? [blocked._id.toString()] : []
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('shows each user as one viewer may see them', async () => {
+    const applyPrivacyFor = await createPrivacyFilter(viewer);
+
+    assert.equal(applyPrivacyFor(contact).profilePicture, 'https://example.com/alice.png');
+    assert.equal(applyPrivacyFor(stranger).profilePicture, '');
+    assert.equal(applyPrivacyFor(blocked).isOnline, undefined);
+    assert.equal(applyPrivacyFor(null), null);
+  });
+
+  it('shows one user as each viewer may see them', async () => {
+    const showTo = await createAudienceFilter(contact);
+
+    assert.equal(showTo(viewer).profilePicture, 'https://example.com/alice.png');
+    assert.equal(showTo(newId()).profilePicture, '');
+    assert.equal(showTo(contact._id).email, 'alice@example.com');
+  });
+});
+
+describe('Message.toClientObject', () => {
+  const sender = createUser({ profilePicture: 'contacts' });
+
+  const createMessage = () => {
+    const message = new Message({
+      conversationId: newId(),
+      sender: sender._id,
+      content: 'hello',
+    });
+    message.sender = sender;
+    return message;
+  };
+
+  it('shows the sender as a non-contact by default', () => {
+    const object = createMessage().toClientObject();
+
+    assert.equal(object.sender.username, 'alice');
+    assert.equal(object.sender.profilePicture, '');
+    assert.equal(object.sender.privacy, undefined);
+  });
+
+  it("applies the viewer's filter to the sender", () => {
+    const object = createMessage().toClientObject(newId(), (user) => applyPrivacy(user, CONTACT_VIEW));
+
+    assert.equal(object.sender.profilePicture, 'https://example.com/alice.png');
+    assert.equal(object.sender.privacy, undefined);
+  });
+});
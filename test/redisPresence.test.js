@@ -0,0 +1,78 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedisPresence } = require('../sockets/presence/redisPresence');
+const { createFakeRedis } = require('./helpers/fakeRedis');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Redis presence store', () => {
+  const stores = [];
+
+  // Each store is one server instance; a long heartbeat keeps timing under the test's control
+  const createInstance = (client, ttlMs = 60 * 1000) => {
+    const store = createRedisPresence(client, { ttlMs, heartbeatMs: 60 * 60 * 1000 });
+    stores.push(store);
+    return store;
+  };
+
+  afterEach(async () => {
+    await Promise.all(stores.splice(0).map((store) => store.close()));
+  });
+
+  it('reports only the first socket as coming online and the last as going offline', async () => {
+    const presence = createInstance(createFakeRedis());
+
+    assert.equal(await presence.addSocket('alice', 'socket-1'), true);
+    assert.equal(await presence.addSocket('alice', 'socket-2'), false);
+    assert.equal(await presence.isOnline('alice'), true);
+
+    assert.equal(await presence.removeSocket('alice', 'socket-1'), false);
+    assert.equal(await presence.removeSocket('alice', 'socket-2'), true);
+    assert.equal(await presence.isOnline('alice'), false);
+  });
+
+  it('ignores a duplicate disconnect', async () => {
+    const presence = createInstance(createFakeRedis());
+
+    await presence.addSocket('alice', 'socket-1');
+    assert.equal(await presence.removeSocket('alice', 'socket-1'), true);
+    assert.equal(await presence.removeSocket('alice', 'socket-1'), false);
+  });
+
+  it('sees sockets connected to other instances', async () => {
+    const client = createFakeRedis();
+    const first = createInstance(client);
+    const second = createInstance(client);
+
+    assert.equal(await first.addSocket('alice', 'socket-1'), true);
+    assert.equal(await second.addSocket('alice', 'socket-2'), false);
+    await second.addSocket('bob', 'socket-3');
+
+    assert.deepEqual(await first.getOnlineUserIds(['alice', 'bob', 'carol']), ['alice', 'bob']);
+    assert.equal(await first.removeSocket('alice', 'socket-1'), false);
+    assert.equal(await second.isOnline('alice'), true);
+  });
+
+  it('stops counting sockets of an instance that stopped refreshing them', async () => {
+    const client = createFakeRedis();
+    const crashed = createInstance(client, 50);
+    const healthy = createInstance(client, 50);
+
+    await crashed.addSocket('alice', 'socket-1');
+    await wait(80);
+
+    assert.equal(await healthy.isOnline('alice'), false);
+    assert.equal(await healthy.addSocket('alice', 'socket-2'), true);
+  });
+
+  it('removes its own sockets when closed', async () => {
+    const client = createFakeRedis();
+    const closing = createInstance(client);
+    const other = createInstance(client);
+
+    await closing.addSocket('alice', 'socket-1');
+    await closing.close();
+
+    assert.equal(await other.isOnline('alice'), false);
+  });
+});
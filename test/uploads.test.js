@@ -0,0 +1,183 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const { sweepInBatches } = require('../utils/sweeper');
+const {
+  appendChunk,
+  completeUploadSession,
+  expireAbandonedUploads,
+  getUploadSession,
+} = require('../utils/uploads');
+const { fakeQuery } = require('./helpers/query');
+
+// Part files are written to the same folder as in production
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Assert that a promise rejects with the given AttachmentError code
+const rejectsWith = (promise, code) =>
+  assert.rejects(promise, (error) => {
+    assert.equal(error.name, 'AttachmentError');
+    assert.equal(error.code, code);
+    return true;
+  });
+
+describe('sweepInBatches', () => {
+  // Candidate queries answering with one batch per call
+  const batchedCandidates = (batches) => {
+    let call = 0;
+    return mock.fn(() => fakeQuery(batches[call++] || []));
+  };
+
+  const ids = (count) => Array.from({ length: count }, () => ({ _id: new mongoose.Types.ObjectId() }));
+
+  it('keeps fetching while batches come back full', async () => {
+    const findCandidates = batchedCandidates([ids(2), ids(2), ids(1)]);
+    const claim = mock.fn(async (_id) => ({ _id }));
+
+    const count = await sweepInBatches({ findCandidates, claim, batchSize: 2 });
+
+    assert.equal(count, 5);
+    assert.equal(findCandidates.mock.callCount(), 3);
+  });
+
+  it('only counts documents this instance claimed', async () => {
+    const candidates = ids(3);
+    const claim = mock.fn(async (_id) => (_id === candidates[1]._id ? null : { _id }));
+
+    const count = await sweepInBatches({ findCandidates: batchedCandidates([candidates]), claim });
+
+    assert.equal(count, 2);
+    assert.equal(claim.mock.callCount(), 3);
+  });
+});
+
+describe('resumable uploads', () => {
+  const uploader = new mongoose.Types.ObjectId();
+  const content = Buffer.from('hello, resumable world');
+  let createdUploadDir;
+  let session;
+
+  const partPath = () => path.join(UPLOAD_DIR, session.partFile);
+
+  before(() => {
+    createdUploadDir = !fs.existsSync(UPLOAD_DIR);
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  });
+
+  beforeEach(() => {
+    const _id = new mongoose.Types.ObjectId();
+    session = new UploadSession({
+      _id,
+      uploader,
+      fileName: 'notes.txt',
+      mimeType: 'text/plain',
+      size: content.length,
+      checksum: sha256(content),
+      partFile: `${_id}.txt`,
+      expiresAt: new Date(Date.now() + 60 * 1000),
+    });
+    fs.writeFileSync(partPath(), '');
+
+    mock.method(UploadSession, 'findOne', async () => session);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(partPath(), { force: true });
+  });
+
+  after(() => {
+    if (createdUploadDir) {
+      fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+    }
+  });
+
+  it("only finds the uploader's own sessions", async () => {
+    const findOne = mock.method(UploadSession, 'findOne', async () => null);
+
+    await rejectsWith(getUploadSession(uploader, session._id.toString()), 'UPLOAD_NOT_FOUND');
+    await rejectsWith(getUploadSession(uploader, 'not-an-id'), 'UPLOAD_NOT_FOUND');
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: session._id.toString(), uploader });
+  });
+
+  it('writes a chunk at the offset and moves the offset only if nobody else did', async () => {
+    const update = mock.method(UploadSession, 'findOneAndUpdate', async () => session);
+    const chunk = content.subarray(0, 5);
+
+    await appendChunk(uploader, session._id, 0, chunk, sha256(chunk));
+
+    assert.deepEqual(fs.readFileSync(partPath()), chunk);
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: session._id, status: 'uploading', received: 0 });
+    assert.equal(changes.$set.received, 5);
+  });
+
+  it('refuses chunks that do not start at the received offset', async () => {
+    session.received = 5;
+    await rejectsWith(appendChunk(uploader, session._id, 0, content), 'UPLOAD_OFFSET_MISMATCH');
+  });
+
+  it('refuses chunks past the declared size', async () => {
+    await rejectsWith(
+      appendChunk(uploader, session._id, 0, Buffer.concat([content, Buffer.from('!')])),
+      'FILE_TOO_LARGE'
+    );
+  });
+
+  it('refuses chunks that do not match their checksum', async () => {
+    await rejectsWith(
+      appendChunk(uploader, session._id, 0, content, sha256('something else')),
+      'CHECKSUM_MISMATCH'
+    );
+  });
+
+  it('refuses a chunk another request already wrote at that offset', async () => {
+    mock.method(UploadSession, 'findOneAndUpdate', async () => null);
+    await rejectsWith(appendChunk(uploader, session._id, 0, content), 'UPLOAD_OFFSET_MISMATCH');
+  });
+
+  it('refuses completing before every byte arrived', async () => {
+    session.received = content.length - 1;
+    await rejectsWith(completeUploadSession(uploader, session._id), 'UPLOAD_INCOMPLETE');
+  });
+
+  it('discards the upload when the file does not match its checksum', async () => {
+    fs.writeFileSync(partPath(), Buffer.from(content).fill('x'));
+    session.received = content.length;
+    mock.method(UploadSession, 'findOneAndUpdate', async () => session);
+    const deleteOne = mock.method(UploadSession, 'deleteOne', async () => ({}));
+
+    await rejectsWith(completeUploadSession(uploader, session._id), 'CHECKSUM_MISMATCH');
+
+    assert.deepEqual(deleteOne.mock.calls[0].arguments[0], { _id: session._id });
+    assert.equal(fs.existsSync(partPath()), false);
+  });
+
+  it('lets only one request process a complete upload', async () => {
+    session.received = content.length;
+    mock.method(UploadSession, 'findOneAndUpdate', async () => null);
+
+    await rejectsWith(completeUploadSession(uploader, session._id), 'UPLOAD_PROCESSING');
+  });
+
+  it('only sweeps sessions still expired when claimed', async () => {
+    const expired = session;
+    mock.method(UploadSession, 'find', () => fakeQuery([{ _id: expired._id }]));
+    const claim = mock.method(UploadSession, 'findOneAndDelete', async () => null);
+
+    // A chunk arrived between finding and claiming the session
+    assert.equal(await expireAbandonedUploads(), 0);
+    assert.ok(fs.existsSync(partPath()));
+    assert.ok(claim.mock.calls[0].arguments[0].expiresAt.$lte instanceof Date);
+
+    claim.mock.mockImplementation(async () => expired);
+    assert.equal(await expireAbandonedUploads(), 1);
+    assert.equal(fs.existsSync(partPath()), false);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unclaimed Attachment Sweeper
+ * Periodically removes attachments that were uploaded but never sent in a
+ * message, with their stored file and (for videos) poster and preview.
+ * Safe to run on several instances: each attachment is claimed with a
+ * conditional delete, which also loses to a message claiming it first.
+ */
+
+const Attachment = require('../models/Attachment');
+const { removeAttachmentFiles } = require('./attachments');
+const { sweepInBatches, startSweeper } = require('./sweeper');
+
+// How long an uploaded attachment waits to be sent before it is removed
+const UNCLAIMED_TTL_MS =
+  (parseFloat(process.env.ATTACHMENT_UNCLAIMED_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// How often the sweeper runs
+const SWEEP_INTERVAL_MS = parseInt(process.env.ATTACHMENT_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+
+/**
+ * Remove every attachment that was not sent within UNCLAIMED_TTL_MS
+ * @returns {Promise<Number>} Number of attachments removed by this call
+ */
+const removeUnclaimedAttachments = () => {
+  const unclaimedFilter = (now) => ({
+    message: null,
+    createdAt: { $lte: new Date(now.getTime() - UNCLAIMED_TTL_MS) },
+  });
+
+  return sweepInBatches({
+    findCandidates: (now) => Attachment.find(unclaimedFilter(now)),
+    claim: async (_id, now) => {
+      // Not claimed when it was just sent in a message
+      const attachment = await Attachment.findOneAndDelete({ _id, ...unclaimedFilter(now) });
+
+      if (attachment) {
+        await removeAttachmentFiles(attachment);
+      }
+
+      return attachment;
+    },
+  });
+};
+
+/**
+ * Run the sweeper now and then every SWEEP_INTERVAL_MS
+ * @returns {Function} Stops the sweeper
+ */
+const startAttachmentExpirySweeper = () =>
+  startSweeper({
+    name: 'Attachment expiry',
+    sweep: removeUnclaimedAttachments,
+    intervalMs: SWEEP_INTERVAL_MS,
+    describe: (count) => `🧹 Removed ${count} unsent attachment(s)`,
+  });
+
+module.exports = {
+  removeUnclaimedAttachments,
+  startAttachmentExpirySweeper,
+};
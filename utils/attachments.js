@@ -0,0 +1,423 @@
+/**
+ * Message Attachments
+ * Which files may be attached to messages and how large they may be,
+ * plus turning an upload into a stored Attachment.
+ *
+ * Each kind has a MIME allow-list and a size limit, configurable through
+ * UPLOAD_<KIND>_TYPES (comma-separated) and UPLOAD_<KIND>_MAX_MB.
+ * Audio and video are additionally inspected with ffprobe: their codec must
+ * be allowed (UPLOAD_<KIND>_CODECS) and they may not run longer than
+ * UPLOAD_<KIND>_MAX_SECONDS. Videos also get a poster frame and a low-res
+ * preview for inline playback.
+ * Failures throw an AttachmentError carrying an HTTP status code and a
+ * stable machine-readable code for clients.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./storage');
+const {
+  probeMedia,
+  computeWaveform,
+  createVideoPoster,
+  createVideoPreview,
+} = require('./media');
+
+const MB = 1024 * 1024;
+
+// Error codes and the HTTP status each maps to
+const ATTACHMENT_ERRORS = {
+  UNSUPPORTED_FILE_TYPE: { statusCode: 415, message: 'This file type is not allowed' },
+  FILE_TOO_LARGE: { statusCode: 413, message: 'File is too large' },
+  UNSUPPORTED_CODEC: { statusCode: 415, message: 'This codec is not allowed' },
+  MEDIA_TOO_LONG: { statusCode: 422, message: 'Media is too long' },
+  INVALID_MEDIA: { statusCode: 422, message: 'File could not be read as media' },
+  // Resumable uploads (utils/uploads.js)
+  UPLOAD_NOT_FOUND: { statusCode: 404, message: 'Upload not found or expired' },
+  UPLOAD_OFFSET_MISMATCH: { statusCode: 409, message: 'Chunk does not start at the upload offset' },
+  UPLOAD_INCOMPLETE: { statusCode: 409, message: 'Upload has not received all its bytes' },
+  UPLOAD_PROCESSING: { statusCode: 409, message: 'Upload is already being processed' },
+  CHECKSUM_MISMATCH: { statusCode: 422, message: 'Uploaded data does not match its checksum' },
+  TOO_MANY_UPLOADS: { statusCode: 429, message: 'Too many uploads in progress' },
+  ATTACHMENT_REQUIRED: { statusCode: 400, message: 'This message type needs an attachmentId' },
+  ATTACHMENT_NOT_FOUND: { statusCode: 404, message: 'Attachment not found or already used' },
+};
+
+class AttachmentError extends Error {
+  constructor(code, message) {
+    const definition = ATTACHMENT_ERRORS[code];
+    super(message || definition.message);
+    this.name = 'AttachmentError';
+    this.code = code;
+    this.statusCode = definition.statusCode;
+  }
+}
+
+/**
+ * Read a comma-separated list from the environment
+ */
+const listFromEnv = (name, fallback) =>
+  process.env[name]
+    ? process.env[name].split(',').map((item) => item.trim()).filter(Boolean)
+    : fallback;
+
+/**
+ * Read a size limit in megabytes from the environment
+ */
+const megabytesFromEnv = (name, fallback) => (parseFloat(process.env[name]) || fallback) * MB;
+
+// Allowed MIME types and size limit per attachment kind
+const ATTACHMENT_KINDS = {
+  image: {
+    mimeTypes: listFromEnv('UPLOAD_IMAGE_TYPES', [
+      'image/jpeg',
+      'image/png',
+      'image/gif',
+      'image/webp',
+    ]),
+    maxBytes: megabytesFromEnv('UPLOAD_IMAGE_MAX_MB', 5),
+    folder: 'chat-spark/messages',
+    label: 'Images',
+  },
+  file: {
+    mimeTypes: listFromEnv('UPLOAD_FILE_TYPES', [
+      'application/pdf',
+      'text/plain',
+      'text/csv',
+      'application/rtf',
+      // Archives
+      'application/zip',
+      'application/x-zip-compressed',
+      'application/x-7z-compressed',
+      'application/vnd.rar',
+      'application/x-rar-compressed',
+      'application/gzip',
+      'application/x-tar',
+      // Office documents
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/vnd.oasis.opendocument.text',
+      'application/vnd.oasis.opendocument.spreadsheet',
+      'application/vnd.oasis.opendocument.presentation',
+    ]),
+    maxBytes: megabytesFromEnv('UPLOAD_FILE_MAX_MB', 25),
+    folder: 'chat-spark/files',
+    label: 'Files',
+  },
+  audio: {
+    mimeTypes: listFromEnv('UPLOAD_AUDIO_TYPES', [
+      'audio/mpeg',
+      'audio/mp4',
+      'audio/x-m4a',
+      'audio/aac',
+      'audio/ogg',
+      'audio/webm',
+      'audio/wav',
+      'audio/x-wav',
+    ]),
+    maxBytes: megabytesFromEnv('UPLOAD_AUDIO_MAX_MB', 10),
+    codecs: listFromEnv('UPLOAD_AUDIO_CODECS', [
+      'opus',
+      'vorbis',
+      'aac',
+      'mp3',
+      'flac',
+      'pcm_s16le',
+    ]),
+    maxSeconds: parseFloat(process.env.UPLOAD_AUDIO_MAX_SECONDS) || 10 * 60,
+    folder: 'chat-spark/audio',
+    label: 'Audio files',
+  },
+  video: {
+    mimeTypes: listFromEnv('UPLOAD_VIDEO_TYPES', ['video/mp4', 'video/webm', 'video/quicktime']),
+    maxBytes: megabytesFromEnv('UPLOAD_VIDEO_MAX_MB', 50),
+    codecs: listFromEnv('UPLOAD_VIDEO_CODECS', ['h264', 'hevc', 'vp8', 'vp9', 'av1']),
+    maxSeconds: parseFloat(process.env.UPLOAD_VIDEO_MAX_SECONDS) || 3 * 60,
+    folder: 'chat-spark/videos',
+    label: 'Videos',
+  },
+};
+
+// Largest upload any kind accepts (the hard limit for multer)
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(ATTACHMENT_KINDS).map((kind) => kind.maxBytes));
+
+/**
+ * Find the attachment kind a MIME type belongs to
+ * @returns {String|null} image, file, audio, video, or null if not allowed
+ */
+const getAttachmentKind = (mimeType) =>
+  Object.keys(ATTACHMENT_KINDS).find((kind) =>
+    ATTACHMENT_KINDS[kind].mimeTypes.includes(mimeType)
+  ) || null;
+
+/**
+ * Compute the SHA-256 of a file
+ * @returns {Promise<String>} Hex digest
+ */
+const computeChecksum = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+/**
+ * Run an ffprobe/ffmpeg step on an upload
+ * Failures mean the file isn't valid media, except a missing binary,
+ * which is a server problem rather than a bad upload
+ */
+const readMedia = async (step) => {
+  try {
+    return await step();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw error;
+    }
+    throw new AttachmentError('INVALID_MEDIA');
+  }
+};
+
+/**
+ * Check a probed codec and duration against a kind's limits
+ * @throws {AttachmentError} UNSUPPORTED_CODEC or MEDIA_TOO_LONG
+ */
+const checkMediaLimits = (kind, codec, duration) => {
+  const { codecs, maxSeconds, label } = ATTACHMENT_KINDS[kind];
+
+  if (!codecs.includes(codec)) {
+    throw new AttachmentError(
+      'UNSUPPORTED_CODEC',
+      `Codec ${codec} is not allowed for ${label.toLowerCase()} (allowed: ${codecs.join(', ')})`
+    );
+  }
+
+  if (duration > maxSeconds) {
+    throw new AttachmentError('MEDIA_TOO_LONG', `${label} cannot be longer than ${maxSeconds} seconds`);
+  }
+};
+
+// Round a duration to milliseconds
+const roundDuration = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Probe an audio upload and check it against the audio limits
+ * @returns {Promise<Object>} { duration (seconds), codec, waveform }
+ * @throws {AttachmentError} When the file isn't readable audio, uses a codec
+ *   that isn't allowed or is too long
+ */
+const inspectAudio = async (filePath) => {
+  const info = await readMedia(() => probeMedia(filePath));
+
+  if (!info.audioCodec || info.videoCodec || !info.duration) {
+    throw new AttachmentError('INVALID_MEDIA', 'File does not contain playable audio');
+  }
+
+  checkMediaLimits('audio', info.audioCodec, info.duration);
+
+  const waveform = await readMedia(() => computeWaveform(filePath, info.duration));
+
+  return {
+    duration: roundDuration(info.duration),
+    codec: info.audioCodec,
+    waveform,
+  };
+};
+
+/**
+ * Probe a video upload and check it against the video limits
+ * @returns {Promise<Object>} { duration (seconds), codec, width, height }
+ * @throws {AttachmentError} When the file isn't readable video, uses a codec
+ *   that isn't allowed or is too long
+ */
+const inspectVideo = async (filePath) => {
+  const info = await readMedia(() => probeMedia(filePath));
+
+  if (!info.videoCodec || !info.duration) {
+    throw new AttachmentError('INVALID_MEDIA', 'File does not contain playable video');
+  }
+
+  checkMediaLimits('video', info.videoCodec, info.duration);
+
+  return {
+    duration: roundDuration(info.duration),
+    codec: info.videoCodec,
+    width: info.width,
+    height: info.height,
+  };
+};
+
+/**
+ * Delete files from storage, logging (not throwing) failures so one missing
+ * file doesn't keep the others around
+ */
+const removeStoredKeys = async (storage, keys) => {
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Could not remove stored file ${key}:`, error);
+    }
+  }
+};
+
+/**
+ * Generate a video's poster frame and low-res preview and store them
+ * next to the video (the temporary files are removed afterwards)
+ * @param {String} filePath - Uploaded video on local disk
+ * @param {Number} duration - Duration in seconds
+ * @param {Object} storage - Storage driver
+ * @returns {Promise<Object>} { posterUrl, posterKey, previewUrl, previewKey }
+ */
+const storeVideoRenditions = async (filePath, duration, storage) => {
+  const { folder } = ATTACHMENT_KINDS.video;
+  const posterPath = `${filePath}-poster.jpg`;
+  const previewPath = `${filePath}-preview.mp4`;
+  let poster = null;
+
+  try {
+    await readMedia(() => createVideoPoster(filePath, duration, posterPath));
+    await readMedia(() => createVideoPreview(filePath, previewPath));
+
+    poster = await storage.upload(posterPath, {
+      folder: `${folder}/posters`,
+      mimeType: 'image/jpeg',
+    });
+    const preview = await storage.upload(previewPath, {
+      folder: `${folder}/previews`,
+      mimeType: 'video/mp4',
+    });
+
+    return {
+      posterUrl: poster.url,
+      posterKey: poster.key,
+      previewUrl: preview.url,
+      previewKey: preview.key,
+    };
+  } catch (error) {
+    // Don't leave the poster behind when the preview couldn't be stored
+    await removeStoredKeys(storage, [poster?.key]);
+    throw error;
+  } finally {
+    await Promise.all([
+      fs.promises.rm(posterPath, { force: true }),
+      fs.promises.rm(previewPath, { force: true }),
+    ]);
+  }
+};
+
+// Inspection run before storing each media kind
+const MEDIA_INSPECTORS = {
+  audio: inspectAudio,
+  video: inspectVideo,
+};
+
+/**
+ * Validate an uploaded file, move it to storage and record it
+ * @param {Object} file - Multer file (on local disk)
+ * @param {String} uploaderId - Uploading user
+ * @returns {Promise<Object>} Attachment document
+ * @throws {AttachmentError} When the type isn't allowed, the file is too large
+ *   or (for audio and video) the media doesn't pass inspection
+ */
+const storeAttachment = async (file, uploaderId) => {
+  const kind = getAttachmentKind(file.mimetype);
+
+  if (!kind) {
+    throw new AttachmentError('UNSUPPORTED_FILE_TYPE');
+  }
+
+  const { maxBytes, folder, label } = ATTACHMENT_KINDS[kind];
+
+  if (file.size > maxBytes) {
+    throw new AttachmentError('FILE_TOO_LARGE', `${label} cannot exceed ${maxBytes / MB} MB`);
+  }
+
+  // Inspect before uploading so rejected media never reaches storage
+  const media = MEDIA_INSPECTORS[kind] ? await MEDIA_INSPECTORS[kind](file.path) : {};
+  const checksum = await computeChecksum(file.path);
+  const storage = getStorage();
+  const renditions =
+    kind === 'video' ? await storeVideoRenditions(file.path, media.duration, storage) : {};
+  let result = null;
+
+  try {
+    result = await storage.upload(file.path, { folder, mimeType: file.mimetype });
+
+    return await Attachment.create({
+      uploader: uploaderId,
+      kind,
+      storageDriver: storage.name,
+      storageKey: result.key,
+      url: result.url,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      checksum,
+      width: result.width,
+      height: result.height,
+      ...media,
+      ...renditions,
+    });
+  } catch (error) {
+    // Without an attachment nothing points at the stored files (or sweeps them)
+    await removeStoredKeys(storage, [result?.key, renditions.posterKey, renditions.previewKey]);
+    throw error;
+  }
+};
+
+/**
+ * Delete an attachment's stored file, and a video's poster and preview
+ * Files kept by another storage driver than the current one are left alone
+ */
+const removeAttachmentFiles = async (attachment) => {
+  const storage = getStorage();
+
+  if (attachment.storageDriver !== storage.name) {
+    return;
+  }
+
+  await removeStoredKeys(storage, [
+    attachment.storageKey,
+    attachment.posterKey,
+    attachment.previewKey,
+  ]);
+};
+
+/**
+ * Delete every attachment sent in a conversation, with its stored files
+ * (for conversations removed together with their messages)
+ * @returns {Promise<Number>} Number of attachments removed
+ */
+const deleteConversationAttachments = async (conversationId) => {
+  let removedCount = 0;
+
+  for await (const attachment of Attachment.find({ conversationId }).cursor()) {
+    await Attachment.deleteOne({ _id: attachment._id });
+    await removeAttachmentFiles(attachment);
+    removedCount += 1;
+  }
+
+  return removedCount;
+};
+
+module.exports = {
+  ATTACHMENT_ERRORS,
+  AttachmentError,
+  ATTACHMENT_KINDS,
+  MAX_UPLOAD_BYTES,
+  getAttachmentKind,
+  computeChecksum,
+  inspectAudio,
+  inspectVideo,
+  storeAttachment,
+  removeAttachmentFiles,
+  deleteConversationAttachments,
+};
@@ -0,0 +1,208 @@
+/**
+ * Authorization Layer
+ * Central checks for who may read or write which conversation/message.
+ * Used by every socket event and REST message route so the rules live
+ * in one place:
+ * - Reading requires being a participant of the conversation
+ * - Sending in a direct chat also requires an accepted chat request and
+ *   no block in either direction
+ * - Sending in a group only requires membership, so adding someone to a
+ *   group requires the same accepted request and no block with whoever adds them
+ *
+ * Failures throw an AuthorizationError carrying an HTTP status code and a
+ * stable machine-readable code for clients.
+ */
+
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const ChatRequest = require('../models/ChatRequest');
+const User = require('../models/User');
+
+// Error codes and the HTTP status each maps to
+const AUTHORIZATION_ERRORS = {
+  CONVERSATION_NOT_FOUND: { statusCode: 404, message: 'Conversation not found' },
+  MESSAGE_NOT_FOUND: { statusCode: 404, message: 'Message not found' },
+  USER_NOT_FOUND: { statusCode: 404, message: 'User not found' },
+  NOT_A_PARTICIPANT: { statusCode: 403, message: 'You are not a participant of this conversation' },
+  CHAT_REQUEST_NOT_ACCEPTED: {
+    statusCode: 403,
+    message: 'A chat request must be accepted before messaging this user',
+  },
+  USER_BLOCKED: { statusCode: 403, message: 'You cannot message this user' },
+  NOT_MESSAGE_RECEIVER: { statusCode: 403, message: 'Only the receiver can update this message status' },
+};
+
+class AuthorizationError extends Error {
+  constructor(code, message) {
+    const definition = AUTHORIZATION_ERRORS[code];
+    super(message || definition.message);
+    this.name = 'AuthorizationError';
+    this.code = code;
+    this.statusCode = definition.statusCode;
+  }
+}
+
+/**
+ * Check whether two users have an accepted chat request (either direction)
+ * @returns {Promise<Boolean>}
+ */
+const hasAcceptedRequest = async (userA, userB) => {
+  const request = await ChatRequest.exists({
+    status: 'accepted',
+    $or: [
+      { sender: userA, receiver: userB },
+      { sender: userB, receiver: userA },
+    ],
+  });
+
+  return Boolean(request);
+};
+
+/**
+ * Ensure a user may send direct messages to another user
+ * @throws {AuthorizationError} USER_NOT_FOUND, USER_BLOCKED, CHAT_REQUEST_NOT_ACCEPTED
+ */
+const authorizeDirectMessage = async (senderId, receiverId) => {
+  if (!mongoose.isValidObjectId(receiverId) || senderId.toString() === receiverId.toString()) {
+    throw new AuthorizationError('USER_NOT_FOUND');
+  }
+
+  const receiverExists = await User.exists({ _id: receiverId });
+  if (!receiverExists) {
+    throw new AuthorizationError('USER_NOT_FOUND');
+  }
+
+  if (await User.isBlockedBetween(senderId, receiverId)) {
+    throw new AuthorizationError('USER_BLOCKED');
+  }
+
+  if (!(await hasAcceptedRequest(senderId, receiverId))) {
+    throw new AuthorizationError('CHAT_REQUEST_NOT_ACCEPTED');
+  }
+};
+
+/**
+ * Ensure a user may put other users into a group: each must exist, be a
+ * contact of theirs (accepted chat request) and not be in a block with them
+ * @param {String} actorId - User creating the group or adding members
+ * @param {Array} memberIds - Users being added
+ * @throws {AuthorizationError} USER_NOT_FOUND, USER_BLOCKED, CHAT_REQUEST_NOT_ACCEPTED
+ */
+const authorizeGroupInvitees = async (actorId, memberIds) => {
+  if (memberIds.length === 0) {
+    return;
+  }
+
+  const [existingCount, blockRelations, acceptedRequests] = await Promise.all([
+    User.countDocuments({ _id: { $in: memberIds } }),
+    User.getBlockRelations(actorId),
+    ChatRequest.find({
+      status: 'accepted',
+      $or: [
+        { sender: actorId, receiver: { $in: memberIds } },
+        { sender: { $in: memberIds }, receiver: actorId },
+      ],
+    }).select('sender receiver'),
+  ]);
+
+  if (existingCount !== memberIds.length) {
+    throw new AuthorizationError('USER_NOT_FOUND', 'One or more users not found');
+  }
+
+  if (memberIds.some((id) => blockRelations.includes(id.toString()))) {
+    throw new AuthorizationError(
+      'USER_BLOCKED',
+      'You cannot add a user you have blocked or who blocked you'
+    );
+  }
+
+  const contactIds = acceptedRequests.map((request) => request.getOtherUser(actorId).toString());
+
+  if (!memberIds.every((id) => contactIds.includes(id.toString()))) {
+    throw new AuthorizationError(
+      'CHAT_REQUEST_NOT_ACCEPTED',
+      'You can only add users who accepted a chat request with you'
+    );
+  }
+};
+
+/**
+ * Load a conversation the user belongs to
+ * @param {String} userId - Acting user
+ * @param {String} conversationId - Conversation to access
+ * @param {Object} options - { write: true } to also require send permission
+ * @returns {Promise<Object>} Conversation document
+ * @throws {AuthorizationError} CONVERSATION_NOT_FOUND, NOT_A_PARTICIPANT, plus
+ *         USER_BLOCKED / CHAT_REQUEST_NOT_ACCEPTED for direct chats when writing
+ */
+const authorizeConversation = async (userId, conversationId, options = {}) => {
+  if (!mongoose.isValidObjectId(conversationId)) {
+    throw new AuthorizationError('CONVERSATION_NOT_FOUND');
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+
+  if (!conversation) {
+    throw new AuthorizationError('CONVERSATION_NOT_FOUND');
+  }
+
+  if (!conversation.isParticipant(userId)) {
+    throw new AuthorizationError('NOT_A_PARTICIPANT');
+  }
+
+  if (options.write && conversation.type !== 'group') {
+    const otherId = conversation.getOtherParticipant(userId);
+
+    if (await User.isBlockedBetween(userId, otherId)) {
+      throw new AuthorizationError('USER_BLOCKED');
+    }
+
+    if (!(await hasAcceptedRequest(userId, otherId))) {
+      throw new AuthorizationError('CHAT_REQUEST_NOT_ACCEPTED');
+    }
+  }
+
+  return conversation;
+};
+
+/**
+ * Load a message from a conversation the user belongs to
+ * @param {String} userId - Acting user
+ * @param {String} messageId - Message to access
+ * @param {Object} options - Passed on to authorizeConversation
+ * @returns {Promise<Object>} { message, conversation }
+ * @throws {AuthorizationError} MESSAGE_NOT_FOUND plus authorizeConversation errors
+ */
+const authorizeMessage = async (userId, messageId, options = {}) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new AuthorizationError('MESSAGE_NOT_FOUND');
+  }
+
+  const message = await Message.findById(messageId);
+
+  if (!message) {
+    throw new AuthorizationError('MESSAGE_NOT_FOUND');
+  }
+
+  try {
+    const conversation = await authorizeConversation(userId, message.conversationId, options);
+    return { message, conversation };
+  } catch (error) {
+    // Don't reveal that a message exists in someone else's conversation
+    if (error.code === 'NOT_A_PARTICIPANT' || error.code === 'CONVERSATION_NOT_FOUND') {
+      throw new AuthorizationError('MESSAGE_NOT_FOUND');
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  AuthorizationError,
+  AUTHORIZATION_ERRORS,
+  hasAcceptedRequest,
+  authorizeDirectMessage,
+  authorizeGroupInvitees,
+  authorizeConversation,
+  authorizeMessage,
+};
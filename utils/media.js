@@ -0,0 +1,213 @@
+/**
+ * Media Processing
+ * Inspects audio/video uploads with ffprobe and derives data from them with
+ * ffmpeg (waveform peaks for voice notes, poster frames and low-res previews
+ * for videos).
+ *
+ * Both binaries must be installed on the server; set FFPROBE_PATH and
+ * FFMPEG_PATH when they aren't on the PATH.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Longest a single ffprobe/ffmpeg run may take before it is killed
+const MEDIA_PROCESS_TIMEOUT_MS = parseInt(process.env.MEDIA_PROCESS_TIMEOUT_MS) || 60 * 1000;
+
+// Number of bars in a waveform, and the sample rate audio is decoded at to compute them
+const WAVEFORM_PEAKS = 64;
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+// Largest width of video posters, and height of low-res video previews
+const POSTER_MAX_WIDTH = 640;
+const PREVIEW_HEIGHT = parseInt(process.env.VIDEO_PREVIEW_HEIGHT) || 240;
+
+/**
+ * Run a command and collect its output
+ * @param {String} command - Binary to run
+ * @param {Array} args - Arguments
+ * @param {Function} onData - Optional handler for stdout chunks (output is then not collected)
+ * @returns {Promise<Buffer>} stdout
+ * @throws {Error} When the command can't start, fails or times out
+ *   (error.code is 'ENOENT' when the binary is missing)
+ */
+const run = (command, args, onData = null) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const chunks = [];
+    let stderr = '';
+
+    const timer = setTimeout(() => child.kill('SIGKILL'), MEDIA_PROCESS_TIMEOUT_MS);
+
+    child.stdout.on('data', (chunk) => (onData ? onData(chunk) : chunks.push(chunk)));
+    child.stderr.on('data', (chunk) => {
+      // Only the end of stderr is useful for the error message
+      stderr = (stderr + chunk).slice(-2000);
+    });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+
+      if (code === 0) {
+        return resolve(Buffer.concat(chunks));
+      }
+
+      const reason = signal === 'SIGKILL' ? 'timed out' : `exited with ${signal || code}`;
+      const lastLine = stderr.trim().split('\n').pop() || '';
+      reject(new Error(`${path.basename(command)} ${reason}: ${lastLine}`));
+    });
+  });
+
+/**
+ * Read the duration, codecs and dimensions of a media file
+ * @returns {Promise<Object>} { duration (seconds), audioCodec, videoCodec, width, height }
+ *   (codecs are null when the file has no such stream)
+ */
+const probeMedia = async (filePath) => {
+  const output = await run(FFPROBE_PATH, [
+    '-v',
+    'error',
+    '-print_format',
+    'json',
+    '-show_format',
+    '-show_streams',
+    filePath,
+  ]);
+
+  const { format = {}, streams = [] } = JSON.parse(output.toString());
+  const audio = streams.find((stream) => stream.codec_type === 'audio');
+  // Cover art in audio files shows up as a single-frame video stream
+  const video = streams.find(
+    (stream) => stream.codec_type === 'video' && !stream.disposition?.attached_pic
+  );
+
+  return {
+    duration: parseFloat(format.duration) || parseFloat((video || audio)?.duration) || 0,
+    audioCodec: audio ? audio.codec_name : null,
+    videoCodec: video ? video.codec_name : null,
+    width: video ? video.width : undefined,
+    height: video ? video.height : undefined,
+  };
+};
+
+/**
+ * Compute waveform peaks for an audio file
+ * Decodes to mono 16-bit PCM and keeps the loudest sample of each bar
+ * @param {String} filePath - Audio file
+ * @param {Number} duration - Duration in seconds (from probeMedia)
+ * @returns {Promise<Array>} WAVEFORM_PEAKS values from 0 to 100, relative to the loudest bar
+ */
+const computeWaveform = async (filePath, duration) => {
+  const totalSamples = Math.max(1, Math.ceil(duration * WAVEFORM_SAMPLE_RATE));
+  const samplesPerPeak = Math.max(1, Math.ceil(totalSamples / WAVEFORM_PEAKS));
+  const peaks = new Array(WAVEFORM_PEAKS).fill(0);
+
+  let sampleIndex = 0;
+  // A sample can be split across two stdout chunks
+  let carry = Buffer.alloc(0);
+
+  await run(
+    FFMPEG_PATH,
+    ['-v', 'error', '-i', filePath, '-ac', '1', '-ar', String(WAVEFORM_SAMPLE_RATE), '-f', 's16le', '-'],
+    (chunk) => {
+      const data = carry.length > 0 ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+
+      for (let offset = 0; offset < usable; offset += 2) {
+        const peak = Math.min(WAVEFORM_PEAKS - 1, Math.floor(sampleIndex / samplesPerPeak));
+        const amplitude = Math.abs(data.readInt16LE(offset));
+
+        if (amplitude > peaks[peak]) {
+          peaks[peak] = amplitude;
+        }
+        sampleIndex += 1;
+      }
+
+      carry = data.subarray(usable);
+    }
+  );
+
+  const loudest = Math.max(...peaks) || 1;
+  return peaks.map((peak) => Math.round((peak / loudest) * 100));
+};
+
+/**
+ * Grab a poster frame from a video as a JPEG
+ * Takes the frame a tenth of the way in (capped at 1s) to skip black intros
+ * @param {String} filePath - Video file
+ * @param {Number} duration - Duration in seconds (from probeMedia)
+ * @param {String} outputPath - Where to write the JPEG
+ */
+const createVideoPoster = async (filePath, duration, outputPath) => {
+  const seekTo = Math.min(1, duration / 10);
+
+  await run(FFMPEG_PATH, [
+    '-v',
+    'error',
+    '-ss',
+    seekTo.toFixed(3),
+    '-i',
+    filePath,
+    '-frames:v',
+    '1',
+    '-vf',
+    `scale='min(${POSTER_MAX_WIDTH},iw)':-2`,
+    '-q:v',
+    '4',
+    '-y',
+    outputPath,
+  ]);
+};
+
+/**
+ * Transcode a video to a small H.264/AAC MP4 for inline playback
+ * @param {String} filePath - Video file
+ * @param {String} outputPath - Where to write the MP4
+ */
+const createVideoPreview = async (filePath, outputPath) => {
+  await run(FFMPEG_PATH, [
+    '-v',
+    'error',
+    '-i',
+    filePath,
+    '-vf',
+    // Never upscale; keep dimensions even as H.264 requires
+    `scale=-2:'min(${PREVIEW_HEIGHT},trunc(ih/2)*2)'`,
+    '-c:v',
+    'libx264',
+    '-preset',
+    'veryfast',
+    '-crf',
+    '30',
+    '-pix_fmt',
+    'yuv420p',
+    '-c:a',
+    'aac',
+    '-b:a',
+    '64k',
+    '-ac',
+    '1',
+    // Lets playback start before the whole file has downloaded
+    '-movflags',
+    '+faststart',
+    '-y',
+    outputPath,
+  ]);
+};
+
+module.exports = {
+  FFPROBE_PATH,
+  FFMPEG_PATH,
+  probeMedia,
+  computeWaveform,
+  createVideoPoster,
+  createVideoPreview,
+};
@@ -0,0 +1,82 @@
+/**
+ * Cursor Pagination Utilities
+ * Helpers for paging through messages by position instead of page number
+ *
+ * A cursor is either a message ID or a timestamp (ISO string or milliseconds).
+ * Message cursors are exact - ties on createdAt are broken by _id - so pages
+ * never skip or repeat messages when new ones arrive between requests.
+ */
+
+const mongoose = require('mongoose');
+
+// Largest page size a client may request
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse a page size from the query string
+ * @param {String} value - Raw limit
+ * @param {Number} defaultLimit - Limit when none given
+ * @returns {Number} Limit between 1 and MAX_PAGE_SIZE
+ */
+const parseLimit = (value, defaultLimit = 50) => {
+  const limit = parseInt(value) || defaultLimit;
+  return Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+};
+
+/**
+ * Resolve a cursor into a position
+ * @param {String} value - Message ID or timestamp
+ * @param {Object} Model - Mongoose model the cursor refers to
+ * @param {Object} scope - Extra filter the referenced document must match
+ * @returns {Object|null} { createdAt, _id? } or null if invalid/unknown
+ */
+const resolveCursor = async (value, Model, scope = {}) => {
+  if (!value) {
+    return null;
+  }
+
+  if (mongoose.isValidObjectId(value) && /^[a-f0-9]{24}$/i.test(value)) {
+    const doc = await Model.findOne({ _id: value, ...scope }).select('createdAt');
+    return doc ? { createdAt: doc.createdAt, _id: doc._id } : null;
+  }
+
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value)) : new Date(value);
+
+  return isNaN(date.getTime()) ? null : { createdAt: date };
+};
+
+/**
+ * Build a filter for documents strictly before/after a cursor position
+ * @param {Object} position - Resolved cursor { createdAt, _id? }
+ * @param {String} direction - 'before' or 'after'
+ * @returns {Object} Mongo filter
+ */
+const buildCursorFilter = (position, direction) => {
+  const op = direction === 'before' ? '$lt' : '$gt';
+
+  if (!position._id) {
+    return { createdAt: { [op]: position.createdAt } };
+  }
+
+  return {
+    $or: [
+      { createdAt: { [op]: position.createdAt } },
+      { createdAt: position.createdAt, _id: { [op]: position._id } },
+    ],
+  };
+};
+
+/**
+ * Sort order for walking away from a cursor
+ * @param {String} direction - 'before' (newest first) or 'after' (oldest first)
+ */
+const cursorSort = (direction) =>
+  direction === 'before' ? { createdAt: -1, _id: -1 } : { createdAt: 1, _id: 1 };
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  parseLimit,
+  resolveCursor,
+  buildCursorFilter,
+  cursorSort,
+};
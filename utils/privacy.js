@@ -0,0 +1,143 @@
+/**
+ * Privacy Helpers
+ * Apply users' privacy settings (everyone / contacts / nobody) to what other
+ * users can see of them: email, profile picture, online status and last seen.
+ * Users in a block relationship never see each other's presence.
+ *
+ * Queries feeding these helpers must select the `privacy` field.
+ */
+
+const ChatRequest = require('../models/ChatRequest');
+const User = require('../models/User');
+
+// Profile field -> privacy setting controlling it
+const PROTECTED_FIELDS = {
+  email: 'email',
+  profilePicture: 'profilePicture',
+  isOnline: 'onlineStatus',
+  lastSeen: 'lastSeen',
+};
+
+// Fields hidden across a block regardless of settings
+const PRESENCE_FIELDS = ['isOnline', 'lastSeen'];
+
+/**
+ * Get the IDs of everyone a user is connected with (accepted chat requests)
+ * @returns {Promise<Array>} User IDs as strings
+ */
+const getContactIds = async (userId) => {
+  const requests = await ChatRequest.find({
+    status: 'accepted',
+    $or: [{ sender: userId }, { receiver: userId }],
+  }).select('sender receiver');
+
+  return requests.map((request) => request.getOtherUser(userId).toString());
+};
+
+/**
+ * Check whether a privacy setting lets a viewer see something
+ * @param {String} setting - everyone, contacts or nobody
+ * @param {Boolean} isContact - Whether the viewer is a contact of the owner
+ */
+const isVisibleTo = (setting, isContact) =>
+  setting === 'everyone' || (setting === 'contacts' && isContact);
+
+/**
+ * Strip what a viewer may not see from a user
+ * @param {Object} user - User document or plain object (with privacy loaded)
+ * @param {Object} relation - { isSelf, isContact, isBlocked } from the viewer's side
+ * @returns {Object} Plain object without the privacy settings
+ */
+const applyPrivacy = (user, relation) => {
+  const object = typeof user.toObject === 'function' ? user.toObject() : { ...user };
+  const privacy = object.privacy || {};
+  delete object.privacy;
+
+  if (relation.isSelf) {
+    return object;
+  }
+
+  Object.entries(PROTECTED_FIELDS).forEach(([field, setting]) => {
+    if (!(field in object)) {
+      return;
+    }
+
+    const hiddenByBlock = relation.isBlocked && PRESENCE_FIELDS.includes(field);
+
+    // Missing settings (older accounts) fall back to the schema defaults
+    const value = privacy[setting] || User.schema.path(`privacy.${setting}`).defaultValue;
+
+    if (hiddenByBlock || !isVisibleTo(value, relation.isContact)) {
+      object[field] = field === 'profilePicture' ? '' : undefined;
+    }
+  });
+
+  return object;
+};
+
+// What any signed-in user who isn't a contact may see
+const PUBLIC_VIEW = { isSelf: false, isContact: false, isBlocked: false };
+
+// What a contact may see
+const CONTACT_VIEW = { isSelf: false, isContact: true, isBlocked: false };
+
+/**
+ * Build a function that applies privacy for one viewer to any number of users
+ * (loads the viewer's contacts and block relations once)
+ * @returns {Promise<Function>} (user) => filtered plain object
+ */
+const createPrivacyFilter = async (viewerId) => {
+  const [contactIds, blockRelations] = await Promise.all([
+    getContactIds(viewerId),
+    User.getBlockRelations(viewerId),
+  ]);
+  const viewer = viewerId.toString();
+
+  return (user) => {
+    if (!user) {
+      return user;
+    }
+
+    const id = user._id.toString();
+
+    return applyPrivacy(user, {
+      isSelf: id === viewer,
+      isContact: contactIds.includes(id),
+      isBlocked: blockRelations.includes(id),
+    });
+  };
+};
+
+/**
+ * Build a function that shows one user as each of many viewers may see them
+ * (loads the user's contacts and block relations once, e.g. to fan out a message)
+ * @param {Object} user - User document or plain object (with privacy loaded)
+ * @returns {Promise<Function>} (viewerId) => filtered plain object
+ */
+const createAudienceFilter = async (user) => {
+  const [contactIds, blockRelations] = await Promise.all([
+    getContactIds(user._id),
+    User.getBlockRelations(user._id),
+  ]);
+  const owner = user._id.toString();
+
+  return (viewerId) => {
+    const id = viewerId.toString();
+
+    return applyPrivacy(user, {
+      isSelf: id === owner,
+      isContact: contactIds.includes(id),
+      isBlocked: blockRelations.includes(id),
+    });
+  };
+};
+
+module.exports = {
+  getContactIds,
+  isVisibleTo,
+  applyPrivacy,
+  createPrivacyFilter,
+  createAudienceFilter,
+  PUBLIC_VIEW,
+  CONTACT_VIEW,
+};
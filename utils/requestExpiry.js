@@ -0,0 +1,67 @@
+/**
+ * Chat Request Expiry Sweeper
+ * Periodically moves pending chat requests past their expiresAt to the
+ * 'expired' state and tells both users in real time.
+ * Safe to run on several instances: each request is claimed with a
+ * conditional update, so only one instance notifies for it.
+ */
+
+const ChatRequest = require('../models/ChatRequest');
+const { emitToUsers } = require('../sockets/socketHandler');
+const { sweepInBatches, startSweeper } = require('./sweeper');
+
+// How often the sweeper runs
+const SWEEP_INTERVAL_MS = parseInt(process.env.CHAT_REQUEST_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+
+/**
+ * Give pending requests created before expiry existed an expiresAt
+ * based on when they were created
+ */
+const backfillExpiry = () =>
+  ChatRequest.updateMany({ status: 'pending', expiresAt: { $exists: false } }, [
+    { $set: { expiresAt: { $add: ['$createdAt', ChatRequest.EXPIRY_MS] } } },
+  ]);
+
+/**
+ * Expire every pending request whose time is up
+ * @returns {Promise<Number>} Number of requests expired by this call
+ */
+const expirePendingRequests = async () => {
+  await backfillExpiry();
+
+  return sweepInBatches({
+    findCandidates: (now) => ChatRequest.find({ status: 'pending', expiresAt: { $lte: now } }),
+    claim: async (_id, now) => {
+      const request = await ChatRequest.findOneAndUpdate(
+        { _id, status: 'pending', expiresAt: { $lte: now } },
+        { status: 'expired', respondedAt: now },
+        { new: true }
+      );
+
+      if (request) {
+        emitToUsers([request.sender, request.receiver], 'request_expired', {
+          requestId: request._id,
+        });
+      }
+
+      return request;
+    },
+  });
+};
+
+/**
+ * Run the sweeper now and then every SWEEP_INTERVAL_MS
+ * @returns {Function} Stops the sweeper
+ */
+const startRequestExpirySweeper = () =>
+  startSweeper({
+    name: 'Chat request expiry',
+    sweep: expirePendingRequests,
+    intervalMs: SWEEP_INTERVAL_MS,
+    describe: (count) => `⌛ Expired ${count} chat request(s)`,
+  });
+
+module.exports = {
+  expirePendingRequests,
+  startRequestExpirySweeper,
+};
@@ -25,13 +25,18 @@ const sendSuccess = (res, statusCode = 200, message = 'Success', data = {}) => {
  * @param {Number} statusCode - HTTP status code
  * @param {String} message - Error message
  * @param {Object} errors - Detailed errors (optional)
+ * @param {String} code - Machine-readable error code (optional)
  */
-const sendError = (res, statusCode = 500, message = 'Server Error', errors = null) => {
+const sendError = (res, statusCode = 500, message = 'Server Error', errors = null, code = null) => {
   const response = {
     success: false,
     message,
   };
 
+  if (code) {
+    response.code = code;
+  }
+
   if (errors) {
     response.errors = errors;
   }
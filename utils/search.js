@@ -0,0 +1,99 @@
+/**
+ * Search Utilities
+ * Helpers for building full-text queries and highlighted result snippets
+ */
+
+// Characters shown on each side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Split a search query into unique, lowercase terms
+ * Quoted phrases are kept together, e.g. 'lunch "next friday"'
+ * @param {String} query - Raw search query
+ * @returns {Array} Search terms
+ */
+const parseSearchTerms = (query) => {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const term = (match[1] || match[2]).trim().toLowerCase();
+    if (term && !terms.includes(term)) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+};
+
+/**
+ * Build a MongoDB $text search string from terms
+ * Multi-word terms are quoted so they are matched as phrases
+ * @param {Array} terms - Parsed search terms
+ * @returns {String} $search value
+ */
+const buildTextSearch = (terms) => {
+  return terms
+    .map((term) => (/\s/.test(term) ? `"${term.replace(/"/g, '')}"` : term.replace(/"/g, '')))
+    .join(' ');
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Cut a snippet around the first match and locate every match inside it
+ * @param {String} text - Full text
+ * @param {Array} terms - Search terms
+ * @returns {Object} { snippet, highlights: [{ start, end }] } with offsets into snippet
+ */
+const buildSnippet = (text, terms) => {
+  if (!text || terms.length === 0) {
+    return { snippet: text || '', highlights: [] };
+  }
+
+  const pattern = new RegExp(terms.map(escapeRegex).join('|'), 'gi');
+  const firstMatch = pattern.exec(text);
+
+  // $text matching is diacritic-insensitive, so there may be no literal match
+  const center = firstMatch ? firstMatch.index : 0;
+  let start = Math.max(0, center - SNIPPET_RADIUS);
+  let end = Math.min(text.length, center + SNIPPET_RADIUS * 2);
+
+  // Avoid cutting words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < center) {
+      start = space + 1;
+    }
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > center) {
+      end = space;
+    }
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const body = text.slice(start, end);
+
+  const highlights = [];
+  const bodyPattern = new RegExp(pattern.source, 'gi');
+  let match;
+
+  while ((match = bodyPattern.exec(body)) !== null) {
+    highlights.push({
+      start: prefix.length + match.index,
+      end: prefix.length + match.index + match[0].length,
+    });
+  }
+
+  return { snippet: prefix + body + suffix, highlights };
+};
+
+module.exports = {
+  parseSearchTerms,
+  buildTextSearch,
+  buildSnippet,
+};
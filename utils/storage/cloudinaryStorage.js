@@ -0,0 +1,75 @@
+/**
+ * Cloudinary Storage Driver
+ * Uploads media to Cloudinary, which also resizes and optimizes images
+ */
+
+const cloudinary = require('cloudinary').v2;
+
+/**
+ * Create a Cloudinary storage driver
+ * @param {Object} options - { cloudName, apiKey, apiSecret }
+ * @returns {Object} Storage driver
+ */
+const createCloudinaryStorage = ({ cloudName, apiKey, apiSecret }) => {
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret,
+  });
+
+  return {
+    name: 'cloudinary',
+
+    /**
+     * Upload a local file
+     * @param {String} filePath - Path to the file to upload
+     * @param {Object} options - { folder, mimeType }
+     * @returns {Promise<Object>} { url, key, width, height, format, size }
+     */
+    async upload(filePath, { folder = 'chat-spark', mimeType } = {}) {
+      // Only images are resized and optimized; other files are kept as uploaded
+      const isImage = !mimeType || mimeType.startsWith('image/');
+
+      try {
+        const result = await cloudinary.uploader.upload(filePath, {
+          folder: folder,
+          resource_type: 'auto', // Automatically detect file type
+          transformation: isImage
+            ? [
+                { width: 1000, height: 1000, crop: 'limit' }, // Limit size
+                { quality: 'auto' }, // Auto quality
+                { fetch_format: 'auto' }, // Auto format
+              ]
+            : undefined,
+        });
+
+        return {
+          url: result.secure_url,
+          key: result.public_id,
+          width: result.width,
+          height: result.height,
+          format: result.format,
+          size: result.bytes,
+        };
+      } catch (error) {
+        console.error('Cloudinary upload error:', error);
+        throw new Error('Failed to upload file');
+      }
+    },
+
+    /**
+     * Delete an uploaded file
+     * @param {String} key - Cloudinary public ID
+     */
+    async remove(key) {
+      try {
+        await cloudinary.uploader.destroy(key);
+      } catch (error) {
+        console.error('Cloudinary delete error:', error);
+        throw new Error('Failed to delete file');
+      }
+    },
+  };
+};
+
+module.exports = { createCloudinaryStorage };
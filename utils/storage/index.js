@@ -0,0 +1,107 @@
+/**
+ * Media Storage Setup
+ * Picks the storage driver for uploaded media from environment config
+ *
+ * STORAGE_DRIVER=cloudinary: Cloudinary (default when CLOUDINARY_CLOUD_NAME is set)
+ * STORAGE_DRIVER=local: files on this server's disk, served by the signed /files
+ *   route (default otherwise, so uploads work without any cloud account)
+ * STORAGE_DRIVER=s3: any S3-compatible bucket
+ *
+ * Every driver exposes:
+ * - name
+ * - upload(filePath, { folder, mimeType }) -> { url, key, size, format, width?, height? }
+ * - remove(key)
+ * - createReadStream(key) -> Readable (local and s3 only; Cloudinary files are
+ *   downloaded from their URL)
+ */
+
+const path = require('path');
+const { createCloudinaryStorage } = require('./cloudinaryStorage');
+const { createLocalStorage } = require('./localStorage');
+
+const DRIVERS = ['cloudinary', 'local', 's3'];
+
+// Driver in use, created on first access
+let storage = null;
+
+/**
+ * Create the storage driver described by the environment
+ * @returns {Object} Storage driver
+ * @throws {Error} When the driver is unknown or its settings are missing
+ */
+const createStorageFromEnv = () => {
+  const driver =
+    process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${DRIVERS.join(', ')})`);
+  }
+
+  if (driver === 'cloudinary') {
+    const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = process.env;
+
+    if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
+      throw new Error(
+        'CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required when STORAGE_DRIVER=cloudinary'
+      );
+    }
+
+    return createCloudinaryStorage({
+      cloudName: CLOUDINARY_CLOUD_NAME,
+      apiKey: CLOUDINARY_API_KEY,
+      apiSecret: CLOUDINARY_API_SECRET,
+    });
+  }
+
+  if (driver === 's3') {
+    if (!process.env.S3_BUCKET || !process.env.S3_REGION) {
+      throw new Error('S3_BUCKET and S3_REGION are required when STORAGE_DRIVER=s3');
+    }
+
+    // Only needed with the S3 driver
+    const { createS3Storage } = require('./s3Storage');
+
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: process.env.S3_PUBLIC_URL,
+    });
+  }
+
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) is required when STORAGE_DRIVER=local');
+  }
+
+  return createLocalStorage({
+    rootDir: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'storage'),
+    baseUrl: (
+      process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 5000}`
+    ).replace(/\/+$/, ''),
+    secret,
+    urlTtlSeconds: parseInt(process.env.LOCAL_STORAGE_URL_TTL_SECONDS) || 0,
+  });
+};
+
+/**
+ * Get the storage driver in use
+ * @returns {Object} Storage driver
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorageFromEnv();
+  }
+
+  return storage;
+};
+
+module.exports = {
+  DRIVERS,
+  getStorage,
+  createStorageFromEnv,
+};
@@ -0,0 +1,31 @@
+/**
+ * Storage Keys
+ * Stored files are named after their validated MIME type, never after the
+ * client's file name, so a file can't be given an extension (.html, .js, ...)
+ * that makes it be served as something other than what was checked.
+ */
+
+const crypto = require('crypto');
+const mime = require('mime-types');
+
+/**
+ * Get the file extension for a MIME type
+ * @returns {String} Extension with its dot (e.g. ".png"), ".bin" when unknown
+ */
+const extensionFor = (mimeType) => {
+  const extension = mimeType && mime.extension(mimeType);
+  return extension ? `.${extension}` : '.bin';
+};
+
+/**
+ * Build a new, unguessable key for a file in a folder
+ * @param {String} folder - Folder to store the file in
+ * @param {String} mimeType - Validated MIME type of the file
+ * @returns {String} e.g. chat-spark/files/<uuid>.pdf
+ */
+const createKey = (folder, mimeType) => `${folder}/${crypto.randomUUID()}${extensionFor(mimeType)}`;
+
+module.exports = {
+  extensionFor,
+  createKey,
+};
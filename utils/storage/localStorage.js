@@ -0,0 +1,132 @@
+/**
+ * Local Disk Storage Driver
+ * Keeps media on the server's own disk, so uploads work offline and without
+ * any cloud account (development, tests, single-server setups).
+ *
+ * Files are served by the /files route. Every URL carries an HMAC signature
+ * (and optionally an expiry), so only URLs handed out by the API work and
+ * stored files can't be listed or guessed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const { createKey } = require('./keys');
+
+/**
+ * Create a local disk storage driver
+ * @param {Object} options - { rootDir, baseUrl, secret, urlTtlSeconds }
+ *   urlTtlSeconds = 0 makes URLs valid forever (needed for URLs stored in messages)
+ * @returns {Object} Storage driver
+ */
+const createLocalStorage = ({ rootDir, baseUrl, secret, urlTtlSeconds = 0 }) => {
+  const root = path.resolve(rootDir);
+
+  const sign = (key, expires) =>
+    crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+
+  return {
+    name: 'local',
+
+    /**
+     * Map a storage key to its absolute path on disk
+     * @returns {String|null} null if the key points outside the storage directory
+     */
+    resolvePath(key) {
+      const filePath = path.resolve(root, key);
+      return filePath.startsWith(root + path.sep) ? filePath : null;
+    },
+
+    /**
+     * Build a signed URL for a stored file
+     */
+    getUrl(key) {
+      const expires = urlTtlSeconds > 0 ? Math.floor(Date.now() / 1000) + urlTtlSeconds : 0;
+      const query = new URLSearchParams({ expires: String(expires), signature: sign(key, expires) });
+
+      return `${baseUrl}/files/${key}?${query}`;
+    },
+
+    /**
+     * Check the signature (and expiry) of a file URL
+     * @returns {Boolean}
+     */
+    verifyUrl(key, expires, signature) {
+      const expected = Buffer.from(sign(key, expires));
+      const given = Buffer.from(String(signature || ''));
+
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return false;
+      }
+
+      const expiresAt = parseInt(expires);
+      return expiresAt === 0 || expiresAt * 1000 > Date.now();
+    },
+
+    /**
+     * Copy a local file into storage
+     * @param {String} filePath - Path to the file to upload
+     * @param {Object} options - { folder, mimeType }
+     * @returns {Promise<Object>} { url, key, format, size }
+     */
+    async upload(filePath, { folder = 'chat-spark', mimeType } = {}) {
+      // Named after the validated type: /files serves it by its extension
+      const key = createKey(folder, mimeType);
+      const destination = this.resolvePath(key);
+
+      if (!destination) {
+        throw new Error('Invalid storage folder');
+      }
+
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      await fs.copyFile(filePath, destination);
+      const { size } = await fs.stat(destination);
+
+      return {
+        url: this.getUrl(key),
+        key,
+        format: path.extname(key).slice(1),
+        size,
+      };
+    },
+
+    /**
+     * Open a stored file for reading
+     * @returns {Promise<Object>} Readable stream
+     */
+    async createReadStream(key) {
+      const filePath = this.resolvePath(key);
+
+      if (!filePath) {
+        throw new Error('Invalid storage key');
+      }
+
+      // Fail here rather than mid-response if the file is gone
+      await fs.access(filePath);
+
+      return createReadStream(filePath);
+    },
+
+    /**
+     * Delete a stored file (missing files are ignored)
+     */
+    async remove(key) {
+      const filePath = this.resolvePath(key);
+
+      if (!filePath) {
+        return;
+      }
+
+      try {
+        await fs.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,108 @@
+/**
+ * S3-Compatible Storage Driver
+ * Uploads media to an S3 bucket (AWS S3, Cloudflare R2, MinIO, ...)
+ *
+ * Objects are served straight from the bucket or a CDN in front of it, so the
+ * bucket (or S3_PUBLIC_URL) must allow public reads of uploaded keys.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { createKey } = require('./keys');
+
+/**
+ * Create an S3 storage driver
+ * @param {Object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey,
+ *   forcePathStyle, publicUrl }
+ * @returns {Object} Storage driver
+ */
+const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  publicUrl,
+}) => {
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  // Where uploaded objects can be downloaded from
+  const baseUrl = (
+    publicUrl ||
+    (endpoint
+      ? `${endpoint}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/+$/, '');
+
+  return {
+    name: 's3',
+
+    /**
+     * Upload a local file
+     * @param {String} filePath - Path to the file to upload
+     * @param {Object} options - { folder, mimeType }
+     * @returns {Promise<Object>} { url, key, format, size }
+     */
+    async upload(filePath, { folder = 'chat-spark', mimeType } = {}) {
+      const key = createKey(folder, mimeType);
+      const { size } = await fs.promises.stat(filePath);
+
+      try {
+        await client.send(
+          new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            ContentLength: size,
+            ContentType: mimeType || undefined,
+          })
+        );
+      } catch (error) {
+        console.error('S3 upload error:', error);
+        throw new Error('Failed to upload file');
+      }
+
+      return {
+        url: `${baseUrl}/${key}`,
+        key,
+        format: path.extname(key).slice(1),
+        size,
+      };
+    },
+
+    /**
+     * Open an uploaded object for reading
+     * @returns {Promise<Object>} Readable stream
+     */
+    async createReadStream(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return response.Body;
+    },
+
+    /**
+     * Delete an uploaded object
+     */
+    async remove(key) {
+      try {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      } catch (error) {
+        console.error('S3 delete error:', error);
+        throw new Error('Failed to delete file');
+      }
+    },
+  };
+};
+
+module.exports = { createS3Storage };
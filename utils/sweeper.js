@@ -0,0 +1,72 @@
+/**
+ * Background Sweepers
+ * Shared runner for periodic cleanup jobs (chat request expiry, abandoned
+ * uploads, unsent attachments).
+ * Documents are swept in batches and each one is claimed with a conditional
+ * update, so several instances can sweep at the same time and only one of
+ * them acts on each document.
+ */
+
+// Documents looked at per database round trip
+const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * Work through every document a sweep applies to
+ * @param {Object} options
+ * @param {Function} options.findCandidates - (now) => Mongoose query for documents to sweep
+ * @param {Function} options.claim - async (_id, now) => claimed document, or null when
+ *   another instance got there first or the document no longer qualifies
+ * @param {Number} options.batchSize - Documents per round trip
+ * @returns {Promise<Number>} Number of documents claimed
+ */
+const sweepInBatches = async ({ findCandidates, claim, batchSize = DEFAULT_BATCH_SIZE }) => {
+  let claimedCount = 0;
+
+  for (;;) {
+    const now = new Date();
+    const candidates = await findCandidates(now).select('_id').limit(batchSize);
+
+    for (const { _id } of candidates) {
+      if (await claim(_id, now)) {
+        claimedCount += 1;
+      }
+    }
+
+    if (candidates.length < batchSize) {
+      return claimedCount;
+    }
+  }
+};
+
+/**
+ * Run a sweep now and then every intervalMs, without keeping the process alive
+ * @param {Object} options
+ * @param {String} options.name - Used in error logs
+ * @param {Function} options.sweep - async () => number of documents swept
+ * @param {Number} options.intervalMs - Time between sweeps
+ * @param {Function} options.describe - (count) => log line when something was swept
+ * @returns {Function} Stops the sweeper
+ */
+const startSweeper = ({ name, sweep, intervalMs, describe }) => {
+  const run = async () => {
+    try {
+      const count = await sweep();
+      if (count > 0) {
+        console.log(describe(count));
+      }
+    } catch (error) {
+      console.error(`${name} error:`, error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  sweepInBatches,
+  startSweeper,
+};
@@ -1,21 +1,30 @@
 /**
  * JWT Token Utilities
- * Helper functions for JWT token generation and verification
+ * Helper functions for access/refresh token generation and verification
+ *
+ * - Access tokens are short-lived JWTs carrying the user ID and session ID
+ * - Refresh tokens are opaque "<sessionId>.<secret>" strings; only a hash
+ *   of the secret is stored, and it is rotated on every refresh
  */
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+// Refresh token lifetime in days
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
 
 /**
- * Generate JWT token
+ * Generate access token
  * @param {String} userId - User ID to encode in token
+ * @param {String} sessionId - Session the token belongs to
  * @returns {String} JWT token
  */
-const generateToken = (userId) => {
+const generateAccessToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '7d',
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
     }
   );
 };
@@ -33,7 +42,61 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Hash a refresh token secret for storage
+ * @param {String} secret - Refresh token secret
+ * @returns {String} Hex-encoded SHA-256 hash
+ */
+const hashToken = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Generate a new refresh token for a session
+ * @param {String} sessionId - Session the token belongs to
+ * @returns {Object} { token, hash } - token goes to the client, hash to the database
+ */
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+
+  return {
+    token: `${sessionId}.${secret}`,
+    hash: hashToken(secret),
+  };
+};
+
+/**
+ * Split a refresh token into its session ID and secret
+ * @param {String} token - Refresh token from the client
+ * @returns {Object|null} { sessionId, secret } or null if malformed
+ */
+const parseRefreshToken = (token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [sessionId, secret] = token.split('.');
+
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+/**
+ * Get the expiry date for a refresh token issued now
+ * @returns {Date} Expiry date
+ */
+const getRefreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+};
+
 module.exports = {
-  generateToken,
+  generateAccessToken,
   verifyToken,
+  hashToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  getRefreshTokenExpiry,
 };
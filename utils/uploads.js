@@ -0,0 +1,353 @@
+/**
+ * Resumable Uploads
+ * Chunked uploads of message attachments for connections that drop:
+ * 1. start a session with the file's name, type, size and SHA-256
+ * 2. send the bytes in chunks, each at the offset the server has reached
+ * 3. after a dropped connection, ask for the offset and carry on from there
+ * 4. complete: the server checks the checksum and stores the file exactly
+ *    like a single-request upload (same limits and media inspection)
+ *
+ * Progress goes to the uploader's devices as `upload_progress` events.
+ * Part files live in uploads/ on the instance that started the session,
+ * so with several instances uploads must stick to one instance.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const Attachment = require('../models/Attachment');
+const {
+  AttachmentError,
+  ATTACHMENT_KINDS,
+  getAttachmentKind,
+  computeChecksum,
+  storeAttachment,
+} = require('./attachments');
+const { emitToUsers } = require('../sockets/socketHandler');
+const { extensionFor } = require('./storage/keys');
+const { sweepInBatches, startSweeper } = require('./sweeper');
+
+// Where part files are written (same folder as multer uploads)
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Largest chunk accepted in one request
+const UPLOAD_CHUNK_MAX_BYTES = (parseFloat(process.env.UPLOAD_CHUNK_MAX_MB) || 5) * 1024 * 1024;
+
+// How long a session lives without receiving a chunk
+const UPLOAD_SESSION_TTL_MS =
+  (parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Unfinished sessions one user may have at a time
+const UPLOAD_MAX_ACTIVE_SESSIONS = parseInt(process.env.UPLOAD_MAX_ACTIVE_SESSIONS) || 10;
+
+// How often abandoned sessions are cleaned up
+const SWEEP_INTERVAL_MS = parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MS) || 15 * 60 * 1000;
+
+const getPartPath = (session) => path.join(UPLOAD_DIR, session.partFile);
+
+const nextExpiry = () => new Date(Date.now() + UPLOAD_SESSION_TTL_MS);
+
+/**
+ * Tell the uploader's devices how far an upload has got
+ * @param {Object} session - Upload session
+ * @param {String} status - uploading, processing, completed, failed or expired
+ */
+const emitProgress = (session, status = session.status) => {
+  emitToUsers(session.uploader, 'upload_progress', {
+    uploadId: session._id,
+    fileName: session.fileName,
+    offset: session.received,
+    size: session.size,
+    percent: Math.floor((session.received / session.size) * 100),
+    status,
+    attachmentId: session.attachment || undefined,
+  });
+};
+
+/**
+ * Remove a session and its part file
+ */
+const discardSession = async (session) => {
+  await UploadSession.deleteOne({ _id: session._id });
+  await fs.rm(getPartPath(session), { force: true });
+};
+
+/**
+ * Load one of a user's upload sessions
+ * @throws {AttachmentError} UPLOAD_NOT_FOUND when missing, expired or not theirs
+ */
+const getUploadSession = async (uploaderId, uploadId) => {
+  const session = mongoose.isValidObjectId(uploadId)
+    ? await UploadSession.findOne({ _id: uploadId, uploader: uploaderId })
+    : null;
+
+  if (!session) {
+    throw new AttachmentError('UPLOAD_NOT_FOUND');
+  }
+
+  return session;
+};
+
+/**
+ * Start a resumable upload
+ * The declared type and size are checked up front, so a file that would be
+ * rejected never gets sent
+ * @param {String} uploaderId - Uploading user
+ * @param {Object} file - { fileName, mimeType, size, checksum (SHA-256 hex) }
+ * @returns {Promise<Object>} Upload session
+ * @throws {AttachmentError} When the type isn't allowed, the file is too
+ *   large or the user has too many uploads in progress
+ */
+const createUploadSession = async (uploaderId, { fileName, mimeType, size, checksum }) => {
+  const kind = getAttachmentKind(mimeType);
+
+  if (!kind) {
+    throw new AttachmentError('UNSUPPORTED_FILE_TYPE');
+  }
+
+  const { maxBytes, label } = ATTACHMENT_KINDS[kind];
+
+  if (size > maxBytes) {
+    throw new AttachmentError(
+      'FILE_TOO_LARGE',
+      `${label} cannot exceed ${maxBytes / (1024 * 1024)} MB`
+    );
+  }
+
+  const activeCount = await UploadSession.countDocuments({
+    uploader: uploaderId,
+    status: { $ne: 'completed' },
+  });
+
+  if (activeCount >= UPLOAD_MAX_ACTIVE_SESSIONS) {
+    throw new AttachmentError(
+      'TOO_MANY_UPLOADS',
+      `You can have at most ${UPLOAD_MAX_ACTIVE_SESSIONS} uploads in progress`
+    );
+  }
+
+  // Named after the declared type, never the client's file name
+  const _id = new mongoose.Types.ObjectId();
+  const partFile = `${_id}${extensionFor(mimeType)}`;
+
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.writeFile(path.join(UPLOAD_DIR, partFile), '');
+
+  return UploadSession.create({
+    _id,
+    uploader: uploaderId,
+    fileName,
+    mimeType,
+    size,
+    checksum: checksum.toLowerCase(),
+    partFile,
+    expiresAt: nextExpiry(),
+  });
+};
+
+/**
+ * Write one chunk of an upload
+ * @param {String} uploaderId - Uploading user
+ * @param {String} uploadId - Upload session
+ * @param {Number} offset - Where the chunk starts; must equal the bytes received so far
+ * @param {Buffer} chunk - Chunk bytes
+ * @param {String} chunkChecksum - Optional SHA-256 (hex) of the chunk
+ * @returns {Promise<Object>} Updated upload session
+ * @throws {AttachmentError} When the session is gone, the offset is wrong,
+ *   the chunk goes past the declared size or doesn't match its checksum
+ */
+const appendChunk = async (uploaderId, uploadId, offset, chunk, chunkChecksum = null) => {
+  const session = await getUploadSession(uploaderId, uploadId);
+
+  if (session.status !== 'uploading') {
+    throw new AttachmentError('UPLOAD_OFFSET_MISMATCH', 'Upload has already been completed');
+  }
+
+  if (offset !== session.received) {
+    throw new AttachmentError(
+      'UPLOAD_OFFSET_MISMATCH',
+      `Chunk must start at offset ${session.received}`
+    );
+  }
+
+  if (offset + chunk.length > session.size) {
+    throw new AttachmentError('FILE_TOO_LARGE', 'Chunk goes past the declared file size');
+  }
+
+  if (
+    chunkChecksum &&
+    crypto.createHash('sha256').update(chunk).digest('hex') !== chunkChecksum.toLowerCase()
+  ) {
+    throw new AttachmentError('CHECKSUM_MISMATCH', 'Chunk does not match its checksum');
+  }
+
+  let handle;
+
+  try {
+    // Written at its offset, so a retried chunk overwrites rather than duplicates
+    handle = await fs.open(getPartPath(session), 'r+');
+    await handle.write(chunk, 0, chunk.length, offset);
+  } catch (error) {
+    // The part file is on another instance, or was swept
+    if (error.code === 'ENOENT') {
+      throw new AttachmentError('UPLOAD_NOT_FOUND');
+    }
+    throw error;
+  } finally {
+    await handle?.close();
+  }
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading', received: offset },
+    { $set: { received: offset + chunk.length, expiresAt: nextExpiry() } },
+    { new: true }
+  );
+
+  // Another request for the same offset got there first
+  if (!updated) {
+    throw new AttachmentError('UPLOAD_OFFSET_MISMATCH', 'Chunk was already received');
+  }
+
+  emitProgress(updated);
+  return updated;
+};
+
+/**
+ * Finish an upload: verify the checksum and store the file as an attachment
+ * Completing an already completed upload returns the same attachment.
+ * Rejected files (wrong checksum, type, codec, ...) discard the session;
+ * server errors leave it so completing can be retried.
+ * @returns {Promise<Object>} { session, attachment }
+ * @throws {AttachmentError} When the upload is missing, incomplete, already
+ *   being processed, or the file is rejected
+ */
+const completeUploadSession = async (uploaderId, uploadId) => {
+  const existing = await getUploadSession(uploaderId, uploadId);
+
+  if (existing.status === 'completed') {
+    const attachment = await Attachment.findById(existing.attachment);
+
+    // Never sent, and removed by the unclaimed attachment sweeper
+    if (!attachment) {
+      await discardSession(existing);
+      throw new AttachmentError('UPLOAD_NOT_FOUND');
+    }
+
+    return { session: existing, attachment };
+  }
+
+  if (existing.received < existing.size) {
+    throw new AttachmentError(
+      'UPLOAD_INCOMPLETE',
+      `Upload has received ${existing.received} of ${existing.size} bytes`
+    );
+  }
+
+  const session = await UploadSession.findOneAndUpdate(
+    { _id: existing._id, status: 'uploading' },
+    { $set: { status: 'processing', expiresAt: nextExpiry() } },
+    { new: true }
+  );
+
+  if (!session) {
+    throw new AttachmentError('UPLOAD_PROCESSING');
+  }
+
+  emitProgress(session);
+  const partPath = getPartPath(session);
+
+  try {
+    const checksum = await computeChecksum(partPath).catch((error) => {
+      throw error.code === 'ENOENT' ? new AttachmentError('UPLOAD_NOT_FOUND') : error;
+    });
+
+    if (checksum !== session.checksum) {
+      throw new AttachmentError('CHECKSUM_MISMATCH');
+    }
+
+    // Same validation, inspection and storage as POST /api/messages/upload
+    const attachment = await storeAttachment(
+      { path: partPath, mimetype: session.mimeType, size: session.size, originalname: session.fileName },
+      uploaderId
+    );
+
+    session.status = 'completed';
+    session.attachment = attachment._id;
+    session.expiresAt = nextExpiry();
+    await session.save();
+    await fs.rm(partPath, { force: true });
+
+    emitProgress(session);
+    return { session, attachment };
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      await discardSession(session);
+      emitProgress(session, 'failed');
+    } else {
+      await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'uploading' } });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancel an upload and delete what was received
+ * @throws {AttachmentError} When the upload is missing or being processed
+ */
+const cancelUploadSession = async (uploaderId, uploadId) => {
+  const session = await getUploadSession(uploaderId, uploadId);
+
+  if (session.status === 'processing') {
+    throw new AttachmentError('UPLOAD_PROCESSING');
+  }
+
+  await discardSession(session);
+};
+
+/**
+ * Remove every session past its expiry, with its part file
+ * @returns {Promise<Number>} Number of sessions removed by this call
+ */
+const expireAbandonedUploads = () =>
+  sweepInBatches({
+    findCandidates: (now) => UploadSession.find({ expiresAt: { $lte: now } }),
+    claim: async (_id, now) => {
+      // Not claimed when a chunk just arrived
+      const session = await UploadSession.findOneAndDelete({ _id, expiresAt: { $lte: now } });
+
+      if (session) {
+        await fs.rm(getPartPath(session), { force: true });
+
+        if (session.status !== 'completed') {
+          emitProgress(session, 'expired');
+        }
+      }
+
+      return session;
+    },
+  });
+
+/**
+ * Run the sweeper now and then every SWEEP_INTERVAL_MS
+ * @returns {Function} Stops the sweeper
+ */
+const startUploadExpirySweeper = () =>
+  startSweeper({
+    name: 'Upload expiry',
+    sweep: expireAbandonedUploads,
+    intervalMs: SWEEP_INTERVAL_MS,
+    describe: (count) => `🧹 Removed ${count} expired upload session(s)`,
+  });
+
+module.exports = {
+  UPLOAD_CHUNK_MAX_BYTES,
+  getUploadSession,
+  createUploadSession,
+  appendChunk,
+  completeUploadSession,
+  cancelUploadSession,
+  expireAbandonedUploads,
+  startUploadExpirySweeper,
+};
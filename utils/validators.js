@@ -3,7 +3,7 @@
  * Common validation rules for request data
  */
 
-const { body, param, query } = require('express-validator');
+const { body, param, query, header } = require('express-validator');
 
 // Authentication validations
 const registerValidation = [
@@ -33,6 +33,20 @@ const loginValidation = [
     .withMessage('Password is required'),
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+];
+
 // User search validation
 const searchValidation = [
   query('query')
@@ -41,6 +55,57 @@ const searchValidation = [
     .withMessage('Search query is required'),
 ];
 
+const userIdValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+const contactsValidation = [
+  query('favorites')
+    .optional()
+    .isBoolean()
+    .withMessage('favorites must be true or false'),
+];
+
+const presenceValidation = [
+  query('ids')
+    .customSanitizer((value) =>
+      typeof value === 'string' ? value.split(',').map((id) => id.trim()).filter(Boolean) : []
+    )
+    .custom((ids) => ids.length >= 1 && ids.length <= 100)
+    .withMessage('ids must list between 1 and 100 user IDs')
+    .custom((ids) => ids.every((id) => /^[a-f0-9]{24}$/i.test(id)))
+    .withMessage('ids must be valid user IDs'),
+];
+
+const updateContactValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('nickname')
+    .optional()
+    .isString()
+    .withMessage('Nickname must be a string')
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Nickname cannot exceed 50 characters'),
+  body('isFavorite')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isFavorite must be true or false'),
+];
+
+const removeContactValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('archive')
+    .optional()
+    .isBoolean()
+    .withMessage('archive must be true or false'),
+];
+
 // Chat request validations
 const sendRequestValidation = [
   body('receiverId')
@@ -63,6 +128,17 @@ const requestActionValidation = [
     .withMessage('Invalid request ID'),
 ];
 
+const requestHistoryValidation = [
+  query('status')
+    .optional()
+    .isIn(['rejected', 'cancelled', 'expired'])
+    .withMessage('Status must be rejected, cancelled or expired'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
 // Message validations
 const sendMessageValidation = [
   body('receiverId')
@@ -71,13 +147,269 @@ const sendMessageValidation = [
     .isMongoId()
     .withMessage('Invalid receiver ID'),
   body('type')
-    .isIn(['text', 'image', 'gif', 'sticker'])
+    .isIn(['text', 'image', 'gif', 'sticker', 'file', 'audio', 'video'])
     .withMessage('Invalid message type'),
   body('content')
     .notEmpty()
     .withMessage('Content is required'),
 ];
 
+// Message cursors: a message ID, a millisecond timestamp or an ISO 8601 date
+const isMessageCursor = (value) =>
+  typeof value === 'string' &&
+  (/^[a-f0-9]{24}$/i.test(value) || /^\d+$/.test(value) || !isNaN(Date.parse(value)));
+
+const getMessagesValidation = [
+  param('conversationId')
+    .isMongoId()
+    .withMessage('Invalid conversation ID'),
+  query('before')
+    .optional()
+    .custom(isMessageCursor)
+    .withMessage('before must be a message ID or timestamp'),
+  query('after')
+    .optional()
+    .custom(isMessageCursor)
+    .withMessage('after must be a message ID or timestamp'),
+  query('around')
+    .optional()
+    .isMongoId()
+    .withMessage('around must be a message ID'),
+];
+
+const searchMessagesValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+  query('conversationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid conversation ID'),
+  query('senderId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid sender ID'),
+  query('type')
+    .optional()
+    .isIn(['text', 'image', 'gif', 'sticker', 'file', 'audio', 'video'])
+    .withMessage('Invalid message type'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+];
+
+const editMessageValidation = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+  body('content')
+    .isString()
+    .withMessage('Content must be a string')
+    .trim()
+    .notEmpty()
+    .withMessage('Content is required'),
+];
+
+const messageIdValidation = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+];
+
+const threadValidation = [
+  ...messageIdValidation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+];
+
+const markReadValidation = [
+  param('conversationId')
+    .isMongoId()
+    .withMessage('Invalid conversation ID'),
+  body('messageId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+];
+
+// Reactions: an emoji (possibly multi-codepoint, e.g. skin tones or ZWJ sequences)
+const isEmoji = (value) =>
+  typeof value === 'string' &&
+  value.length > 0 &&
+  value.length <= 32 &&
+  /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f\u20e3]+$/u.test(value) &&
+  /[\p{Extended_Pictographic}\p{Regional_Indicator}\u20e3]/u.test(value);
+
+const reactionValidation = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+  body('emoji')
+    .custom(isEmoji)
+    .withMessage('A valid emoji is required'),
+];
+
+const removeReactionValidation = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+  param('emoji')
+    .custom(isEmoji)
+    .withMessage('A valid emoji is required'),
+];
+
+// Resumable upload validations
+const createUploadValidation = [
+  body('fileName')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('File name must be between 1 and 255 characters'),
+  body('mimeType')
+    .trim()
+    .notEmpty()
+    .withMessage('MIME type is required'),
+  body('size')
+    .isInt({ min: 1 })
+    .withMessage('Size must be a positive number of bytes')
+    .toInt(),
+  body('checksum')
+    .matches(/^[a-fA-F0-9]{64}$/)
+    .withMessage('Checksum must be a SHA-256 hex digest'),
+];
+
+const uploadIdValidation = [
+  param('uploadId')
+    .isMongoId()
+    .withMessage('Invalid upload ID'),
+];
+
+const uploadChunkValidation = [
+  ...uploadIdValidation,
+  query('offset')
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative number of bytes')
+    .toInt(),
+  header('x-checksum-sha256')
+    .optional()
+    .matches(/^[a-fA-F0-9]{64}$/)
+    .withMessage('X-Checksum-SHA256 must be a SHA-256 hex digest'),
+];
+
+// Group conversation validations
+const createGroupValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+  body('avatar')
+    .optional()
+    .trim()
+    .custom((value) => value === '' || /^https?:\/\//.test(value))
+    .withMessage('Avatar must be a valid URL'),
+  body('memberIds')
+    .optional()
+    .isArray()
+    .withMessage('memberIds must be an array'),
+  body('memberIds.*')
+    .isMongoId()
+    .withMessage('Invalid member ID'),
+];
+
+const updateGroupValidation = [
+  param('conversationId')
+    .isMongoId()
+    .withMessage('Invalid conversation ID'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+  body('avatar')
+    .optional()
+    .trim()
+    .custom((value) => value === '' || /^https?:\/\//.test(value))
+    .withMessage('Avatar must be a valid URL'),
+];
+
+const addMembersValidation = [
+  param('conversationId')
+    .isMongoId()
+    .withMessage('Invalid conversation ID'),
+  body('memberIds')
+    .isArray({ min: 1 })
+    .withMessage('memberIds must be a non-empty array'),
+  body('memberIds.*')
+    .isMongoId()
+    .withMessage('Invalid member ID'),
+];
+
+const groupMemberValidation = [
+  param('conversationId')
+    .isMongoId()
+    .withMessage('Invalid conversation ID'),
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+];
+
+const updateMemberRoleValidation = [
+  ...groupMemberValidation,
+  body('role')
+    .isIn(['admin', 'member'])
+    .withMessage('Role must be admin or member'),
+];
+
+const conversationListValidation = [
+  query('archived')
+    .optional()
+    .isBoolean()
+    .withMessage('archived must be true or false'),
+  query('pinned')
+    .optional()
+    .isBoolean()
+    .withMessage('pinned must be true or false'),
+];
+
+const conversationIdValidation = [
+  param('conversationId')
+    .isMongoId()
+    .withMessage('Invalid conversation ID'),
+];
+
+const deleteConversationValidation = [
+  ...conversationIdValidation,
+  query('forEveryone')
+    .optional()
+    .isBoolean()
+    .withMessage('forEveryone must be true or false'),
+];
+
+const muteConversationValidation = [
+  param('conversationId')
+    .isMongoId()
+    .withMessage('Invalid conversation ID'),
+  body('until')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('until must be an ISO 8601 date'),
+];
+
 // Profile update validation
 const updateProfileValidation = [
   body('bio')
@@ -95,6 +427,20 @@ const updateProfileValidation = [
     .toLowerCase(),
 ];
 
+// Privacy settings validation
+const updatePrivacyValidation = [
+  ...['email', 'profilePicture', 'onlineStatus', 'lastSeen'].map((setting) =>
+    body(setting)
+      .optional()
+      .isIn(['everyone', 'contacts', 'nobody'])
+      .withMessage(`${setting} must be everyone, contacts or nobody`)
+  ),
+  body('readReceipts')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('readReceipts must be true or false'),
+];
+
 // Password change validation
 const changePasswordValidation = [
   body('currentPassword')
@@ -114,10 +460,40 @@ const changePasswordValidation = [
 module.exports = {
   registerValidation,
   loginValidation,
+  refreshTokenValidation,
+  sessionIdValidation,
   searchValidation,
+  userIdValidation,
+  contactsValidation,
+  presenceValidation,
+  updateContactValidation,
+  removeContactValidation,
   sendRequestValidation,
   requestActionValidation,
+  requestHistoryValidation,
   sendMessageValidation,
+  getMessagesValidation,
+  searchMessagesValidation,
+  editMessageValidation,
+  messageIdValidation,
+  threadValidation,
+  markReadValidation,
+  isEmoji,
+  reactionValidation,
+  removeReactionValidation,
+  createUploadValidation,
+  uploadIdValidation,
+  uploadChunkValidation,
+  createGroupValidation,
+  updateGroupValidation,
+  addMembersValidation,
+  groupMemberValidation,
+  updateMemberRoleValidation,
+  conversationListValidation,
+  conversationIdValidation,
+  deleteConversationValidation,
+  muteConversationValidation,
   updateProfileValidation,
+  updatePrivacyValidation,
   changePasswordValidation,
 };